@@ -0,0 +1,153 @@
+// Long-exposure accumulation for the EffectComposer chain, like three's AfterimagePass
+// with more control. Each frame is combined with a fading copy of everything rendered
+// before it, so moving lights leave streaks as if the shutter stayed open.
+//
+// The scene is rendered onto a transparent background and accumulated with its alpha,
+// which fades along with the color, so the page still shows through wherever no light
+// has been. An opaque background (for exports) is painted in under the result, after
+// accumulating, so the background itself never builds up.
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+const QUAD_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const ACCUMULATE_FRAGMENT_SHADER = `
+  uniform sampler2D tPrevious;
+  uniform sampler2D tCurrent;
+  uniform float uFade;     // How much of the previous exposure is left this frame
+  uniform float uGain;     // Weight of the new frame when adding
+  uniform float uAdditive; // 1.0: add the frames up, 0.0: keep the brighter of the two
+  varying vec2 vUv;
+
+  void main() {
+    vec4 previous = texture2D(tPrevious, vUv) * uFade;
+    vec4 current = texture2D(tCurrent, vUv);
+    vec4 added = previous + current * uGain;
+    added.a = min(added.a, 1.0);
+    gl_FragColor = uAdditive > 0.5 ? added : max(previous, current);
+  }
+`;
+
+const RESOLVE_FRAGMENT_SHADER = `
+  uniform sampler2D tExposure;
+  uniform vec3 uBackground;
+  uniform float uBackgroundAlpha;
+  varying vec2 vUv;
+
+  void main() {
+    vec4 exposure = texture2D(tExposure, vUv);
+    // The exposure over the background (a no-op for a transparent one)
+    float alpha = exposure.a + uBackgroundAlpha * (1.0 - exposure.a);
+    vec3 color = exposure.rgb * exposure.a + uBackground * uBackgroundAlpha * (1.0 - exposure.a);
+    gl_FragColor = vec4(alpha > 0.0 ? color / alpha : vec3(0.0), alpha);
+  }
+`;
+
+export class AccumulationPass extends Pass {
+  // decay: the share of the exposure left after one frame at the reference rate
+  constructor({ decay = 0.9, mode = 'lighten', paint = false } = {}) {
+    super();
+    this.decay = decay;
+    this.mode = mode; // 'lighten' keeps each pixel's brightest light, 'additive' sums it
+    this.paint = paint; // Never fade, so the figure builds up until cleared
+    // Reference frames since the last render; set by the caller, so the exposure fades
+    // at the same speed whatever the frame rate
+    this.frames = 1;
+    // Painted in under the exposure on output
+    this.background = new THREE.Color(0x000000);
+    this.backgroundAlpha = 0;
+    this.needsClear = true;
+
+    // Half floats, so faint light keeps fading instead of getting stuck at one 8-bit step
+    const options = { type: THREE.HalfFloatType, depthBuffer: false };
+    this.previous = new THREE.WebGLRenderTarget(1, 1, options);
+    this.current = new THREE.WebGLRenderTarget(1, 1, options);
+
+    this.accumulateMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        tPrevious: { value: null },
+        tCurrent: { value: null },
+        uFade: { value: 1 },
+        uGain: { value: 1 },
+        uAdditive: { value: 0 },
+      },
+      vertexShader: QUAD_VERTEX_SHADER,
+      fragmentShader: ACCUMULATE_FRAGMENT_SHADER,
+      blending: THREE.NoBlending,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.resolveMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        tExposure: { value: null },
+        uBackground: { value: this.background },
+        uBackgroundAlpha: { value: 0 },
+      },
+      vertexShader: QUAD_VERTEX_SHADER,
+      fragmentShader: RESOLVE_FRAGMENT_SHADER,
+      blending: THREE.NoBlending,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.accumulateQuad = new FullScreenQuad(this.accumulateMaterial);
+    this.resolveQuad = new FullScreenQuad(this.resolveMaterial);
+  }
+
+  // Start a fresh exposure on the next frame
+  reset() {
+    this.needsClear = true;
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    if (this.needsClear) {
+      const clearColor = renderer.getClearColor(new THREE.Color());
+      const clearAlpha = renderer.getClearAlpha();
+      renderer.setClearColor(0x000000, 0);
+      renderer.setRenderTarget(this.previous);
+      renderer.clear();
+      renderer.setClearColor(clearColor, clearAlpha);
+      this.needsClear = false;
+    }
+
+    const frames = Math.max(0, this.frames);
+    const uniforms = this.accumulateMaterial.uniforms;
+    uniforms.tPrevious.value = this.previous.texture;
+    uniforms.tCurrent.value = readBuffer.texture;
+    uniforms.uFade.value = this.paint ? 1 : Math.pow(this.decay, frames);
+    uniforms.uGain.value = frames;
+    uniforms.uAdditive.value = this.mode === 'additive' ? 1 : 0;
+    renderer.setRenderTarget(this.current);
+    this.accumulateQuad.render(renderer);
+
+    this.resolveMaterial.uniforms.tExposure.value = this.current.texture;
+    this.resolveMaterial.uniforms.uBackgroundAlpha.value = this.backgroundAlpha;
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    this.resolveQuad.render(renderer);
+
+    // This frame's exposure is the one to fade next frame
+    [this.previous, this.current] = [this.current, this.previous];
+  }
+
+  // Resizing loses the exposure, so it starts again
+  setSize(width, height) {
+    this.previous.setSize(width, height);
+    this.current.setSize(width, height);
+    this.reset();
+  }
+
+  dispose() {
+    this.previous.dispose();
+    this.current.dispose();
+    this.accumulateMaterial.dispose();
+    this.resolveMaterial.dispose();
+    this.accumulateQuad.dispose();
+    this.resolveQuad.dispose();
+  }
+}
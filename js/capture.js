@@ -0,0 +1,121 @@
+// Recorders for offline capture (see captureAnimation in main.js). The capture renders
+// each frame into the canvas, then hands it to a recorder, which builds the file to
+// download. Before rendering a frame it waits for recorder.beforeFrame(index), and right
+// after rendering it calls recorder.addFrame(index), while the frame is still in the
+// canvas.
+import { ZipWriter } from './zip.js';
+
+// Save a blob as a file through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the canvas'))), type);
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// WebM video through MediaRecorder. MediaRecorder stamps each frame with the moment it
+// arrives, so frames are handed over at the capture frame rate in real time; if a frame
+// takes longer than that to render, the video runs slow there. Whether the alpha
+// channel is kept depends on the browser's encoder.
+export class WebMRecorder {
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  constructor(canvas, { fps }) {
+    this.canvas = canvas;
+    this.fps = fps;
+    this.extension = 'webm';
+  }
+
+  start() {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+
+    // Frames are only taken when requested, once each is rendered
+    this.stream = this.canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(this.canvas.width * this.canvas.height * this.fps * 0.2),
+    });
+    this.recorder.addEventListener('dataavailable', event => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    });
+    this.stopped = new Promise(resolve => this.recorder.addEventListener('stop', resolve, { once: true }));
+    this.recorder.start();
+    this.startTime = performance.now();
+  }
+
+  // Wait until frame index is due
+  async beforeFrame(index) {
+    const due = this.startTime + (index * 1000) / this.fps;
+    const delay = due - performance.now();
+    if (delay > 0) await wait(delay);
+  }
+
+  addFrame() {
+    this.track.requestFrame();
+  }
+
+  async finish() {
+    // Let the last frame last its full duration
+    await wait(1000 / this.fps);
+    this.recorder.stop();
+    await this.stopped;
+    this.stream.getTracks().forEach(track => track.stop());
+    return new Blob(this.chunks, { type: 'video/webm' });
+  }
+
+  cancel() {
+    if (!this.recorder) return;
+    if (this.recorder.state !== 'inactive') this.recorder.stop();
+    this.stream.getTracks().forEach(track => track.stop());
+    this.chunks = [];
+  }
+}
+
+// A numbered PNG per frame, collected into a ZIP archive
+export class PNGSequenceRecorder {
+  constructor(canvas, { name = 'frame' } = {}) {
+    this.canvas = canvas;
+    this.name = name;
+    this.extension = 'zip';
+  }
+
+  start() {
+    this.zip = new ZipWriter();
+  }
+
+  async beforeFrame() {}
+
+  // Takes the frame straight away, before the browser clears the drawing buffer
+  async addFrame(index) {
+    const blob = await canvasToBlob(this.canvas);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    this.zip.add(`${this.name}_${String(index).padStart(5, '0')}.png`, data);
+  }
+
+  async finish() {
+    return this.zip.toBlob();
+  }
+
+  cancel() {
+    this.zip = null;
+  }
+}
@@ -0,0 +1,366 @@
+// Strange attractor curves - Lorenz, Rössler, Aizawa, Thomas, Halvorsen, Chen and Dadras
+import * as THREE from 'three';
+import { registerCurve } from './curveRegistry.js';
+
+// View volume of the default Lorenz butterfly. Every attractor here is rescaled
+// and moved into this box so switching curves keeps the same camera framing.
+const ATTRACTOR_VIEW_CENTER = new THREE.Vector3(0, 21, 0);
+const ATTRACTOR_VIEW_RADIUS = 22;
+
+// Diagonal three-quarter view used for the Lorenz butterfly
+export function attractorCameraPosition() {
+  // Rotate clockwise around z-axis to match desired diagonal orientation
+  const angle = -18 * Math.PI / 180; // Convert to radians, negative for clockwise
+  const x = -35;
+  const y = 25;
+  return new THREE.Vector3(
+    x * Math.cos(angle) - y * Math.sin(angle),
+    x * Math.sin(angle) + y * Math.cos(angle),
+    40
+  );
+}
+
+// Attractor definitions: coefficient schemas, a default starting state and the vector field.
+// Each derivative returns [dx/dt, dy/dt, dz/dt] for the state (x, y, z).
+const ATTRACTORS = {
+  lorenz: {
+    label: 'Lorenz Attractor',
+    coefficients: {
+      // Lorenz's own values. With these sigma and beta, any rho below about 24.7 spirals
+      // into the fixed point in one wing instead of tracing the butterfly.
+      sigma: { value: 10, min: 5, max: 15, step: 0.1, label: 'Sigma (σ)' },
+      rho: { value: 28, min: 20, max: 35, step: 0.1, label: 'Rho (ρ)' },
+      beta: { value: 2.7, min: 1, max: 4, step: 0.1, label: 'Beta (β)' },
+    },
+    start: [1, 1, 1],
+    timeStep: { value: 0.012, min: 0.005, max: 0.02, step: 0.001 },
+    numPoints: 2600,
+    scale: 0.8,
+    // The Lorenz butterfly keeps its own coordinates: it defines the shared view volume
+    fitToView: false,
+    // The visual center of the butterfly sits at z = rho - 1 (our y-axis)
+    target: values => new THREE.Vector3(0, (values.rho - 1) * values.scale, 0),
+    derivative: (x, y, z, { sigma, rho, beta }) => [
+      sigma * (y - x),
+      x * (rho - z) - y,
+      x * y - beta * z,
+    ],
+  },
+  rossler: {
+    label: 'Rössler Attractor',
+    coefficients: {
+      a: { value: 0.2, min: 0.05, max: 0.4, step: 0.01, label: 'a' },
+      b: { value: 0.2, min: 0.05, max: 2, step: 0.01, label: 'b' },
+      c: { value: 5.7, min: 2, max: 14, step: 0.1, label: 'c' },
+    },
+    start: [1, 1, 1],
+    timeStep: { value: 0.04, min: 0.01, max: 0.08, step: 0.005 },
+    numPoints: 3000,
+    derivative: (x, y, z, { a, b, c }) => [
+      -y - z,
+      x + a * y,
+      b + z * (x - c),
+    ],
+  },
+  aizawa: {
+    label: 'Aizawa Attractor',
+    coefficients: {
+      a: { value: 0.95, min: 0.5, max: 1.2, step: 0.01, label: 'a' },
+      b: { value: 0.7, min: 0.4, max: 1, step: 0.01, label: 'b' },
+      c: { value: 0.6, min: 0.3, max: 0.9, step: 0.01, label: 'c' },
+      d: { value: 3.5, min: 2, max: 5, step: 0.05, label: 'd' },
+      e: { value: 0.25, min: 0, max: 0.5, step: 0.01, label: 'e' },
+      f: { value: 0.1, min: 0, max: 0.3, step: 0.01, label: 'f' },
+    },
+    start: [0.1, 0, 0],
+    timeStep: { value: 0.01, min: 0.002, max: 0.03, step: 0.001 },
+    numPoints: 4000,
+    derivative: (x, y, z, { a, b, c, d, e, f }) => [
+      (z - b) * x - d * y,
+      d * x + (z - b) * y,
+      c + a * z - (z * z * z) / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x,
+    ],
+  },
+  thomas: {
+    label: 'Thomas Attractor',
+    coefficients: {
+      b: { value: 0.208186, min: 0.1, max: 0.3, step: 0.001, label: 'b' },
+    },
+    start: [1.1, 1.1, -0.01],
+    timeStep: { value: 0.08, min: 0.02, max: 0.15, step: 0.005 },
+    numPoints: 5000,
+    derivative: (x, y, z, { b }) => [
+      Math.sin(y) - b * x,
+      Math.sin(z) - b * y,
+      Math.sin(x) - b * z,
+    ],
+  },
+  halvorsen: {
+    label: 'Halvorsen Attractor',
+    coefficients: {
+      a: { value: 1.89, min: 1.2, max: 2.5, step: 0.01, label: 'a' },
+    },
+    start: [-1.48, -1.51, 2.04],
+    timeStep: { value: 0.006, min: 0.001, max: 0.015, step: 0.001 },
+    numPoints: 3000,
+    derivative: (x, y, z, { a }) => [
+      -a * x - 4 * y - 4 * z - y * y,
+      -a * y - 4 * z - 4 * x - z * z,
+      -a * z - 4 * x - 4 * y - x * x,
+    ],
+  },
+  chen: {
+    label: 'Chen Attractor',
+    coefficients: {
+      a: { value: 35, min: 30, max: 45, step: 0.1, label: 'a' },
+      b: { value: 3, min: 1, max: 5, step: 0.05, label: 'b' },
+      c: { value: 28, min: 20, max: 30, step: 0.1, label: 'c' },
+    },
+    start: [-10, 0, 37],
+    timeStep: { value: 0.003, min: 0.001, max: 0.006, step: 0.0005 },
+    numPoints: 4000,
+    derivative: (x, y, z, { a, b, c }) => [
+      a * (y - x),
+      (c - a) * x - x * z + c * y,
+      x * y - b * z,
+    ],
+  },
+  dadras: {
+    label: 'Dadras Attractor',
+    coefficients: {
+      a: { value: 3, min: 2, max: 4, step: 0.05, label: 'a' },
+      b: { value: 2.7, min: 1.5, max: 3.5, step: 0.05, label: 'b' },
+      c: { value: 1.7, min: 1, max: 2.5, step: 0.05, label: 'c' },
+      d: { value: 2, min: 1, max: 3, step: 0.05, label: 'd' },
+      e: { value: 9, min: 6, max: 12, step: 0.1, label: 'e' },
+    },
+    start: [1.1, 2.1, -2.0],
+    timeStep: { value: 0.01, min: 0.002, max: 0.02, step: 0.001 },
+    numPoints: 4000,
+    derivative: (x, y, z, { a, b, c, d, e }) => [
+      y - a * x + b * y * z,
+      c * y - x * z + z,
+      d * x * y - e * z,
+    ],
+  },
+};
+
+export const INTEGRATORS = ['euler', 'midpoint', 'rk4', 'rk45'];
+
+// Error tolerance and step budget for the adaptive RK45 integrator
+const RK45_TOLERANCE = 1e-6;
+const RK45_MAX_SUBSTEPS = 10000;
+
+// Dormand-Prince 5(4) tableau: stage coefficients, 5th order weights and 4th order weights
+const DOPRI_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+const DOPRI_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DOPRI_B_STAR = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// state + h * (sum of weights[i] * slopes[i])
+function addSlopes(state, slopes, weights, h) {
+  const result = state.slice();
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] === 0) continue;
+    for (let j = 0; j < 3; j++) {
+      result[j] += h * weights[i] * slopes[i][j];
+    }
+  }
+  return result;
+}
+
+// Fixed-step integrators: advance the state by one step of size h
+const STEPPERS = {
+  euler: (f, state, h) => addSlopes(state, [f(state)], [1], h),
+  midpoint: (f, state, h) => {
+    const k1 = f(state);
+    const k2 = f(addSlopes(state, [k1], [0.5], h));
+    return addSlopes(state, [k2], [1], h);
+  },
+  rk4: (f, state, h) => {
+    const k1 = f(state);
+    const k2 = f(addSlopes(state, [k1], [0.5], h));
+    const k3 = f(addSlopes(state, [k2], [0.5], h));
+    const k4 = f(addSlopes(state, [k3], [1], h));
+    return addSlopes(state, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6], h);
+  },
+};
+
+// Adaptive Dormand-Prince integrator: covers `duration` in as many substeps as the
+// error tolerance needs, backwards in time if it is negative. `control.h` carries the
+// substep size over between calls.
+function advanceRK45(f, state, duration, control) {
+  const direction = Math.sign(duration);
+  const span = Math.abs(duration);
+  let time = 0;
+  let substeps = 0;
+  while (time < span) {
+    if (++substeps > RK45_MAX_SUBSTEPS) return [NaN, NaN, NaN];
+    const h = direction * Math.min(control.h, span - time);
+    const slopes = [];
+    for (let i = 0; i < DOPRI_A.length; i++) {
+      slopes.push(f(addSlopes(state, slopes, DOPRI_A[i], h)));
+    }
+    const next = addSlopes(state, slopes, DOPRI_B, h);
+    const nextLow = addSlopes(state, slopes, DOPRI_B_STAR, h);
+
+    // Scaled error between the 5th and 4th order solutions
+    let error = 0;
+    for (let j = 0; j < 3; j++) {
+      const tolerance = RK45_TOLERANCE * (1 + Math.max(Math.abs(state[j]), Math.abs(next[j])));
+      error = Math.max(error, Math.abs(next[j] - nextLow[j]) / tolerance);
+    }
+    if (!Number.isFinite(error)) return [NaN, NaN, NaN];
+
+    if (error <= 1) {
+      time += Math.abs(h);
+      state = next;
+    }
+    // Grow or shrink the step for the next attempt, within sensible bounds
+    const factor = error === 0 ? 5 : 0.9 * Math.pow(error, -0.2);
+    control.h = Math.abs(h) * Math.min(5, Math.max(0.2, factor));
+  }
+  return state;
+}
+
+// Returns a function (state, h) => nextState that advances a state with the chosen integrator
+function createStepper(integrator, f) {
+  if (integrator === 'rk45') {
+    const control = { h: null };
+    return (state, h) => {
+      if (!control.h) control.h = Math.abs(h);
+      return advanceRK45(f, state, h, control);
+    };
+  }
+  const stepper = STEPPERS[integrator] || STEPPERS.rk4;
+  return (state, h) => stepper(f, state, h);
+}
+
+// Integrate an attractor and return the states in scene space (y and z swapped like
+// the Lorenz curve, so the attractor's z-axis points up). The first `skipSteps` steps
+// are run but not recorded so the path starts on the attractor instead of running into it.
+// Throws if the integration diverges to NaN or infinity.
+export function integrateAttractor(derivative, coefficients, {
+  integrator = 'rk4', timeStep = 0.01, numPoints = 2000, skipSteps = 0, start = [1, 1, 1],
+} = {}) {
+  const step = createStepper(integrator, state => derivative(state[0], state[1], state[2], coefficients));
+
+  const points = [];
+  let state = start.slice();
+  for (let i = 0; i < skipSteps + numPoints; i++) {
+    state = step(state, timeStep);
+    if (!state.every(Number.isFinite)) {
+      throw new Error(
+        `Integration diverged after ${i + 1} steps. Try a smaller time step or a different integrator.`
+      );
+    }
+    if (i >= skipSteps) {
+      points.push(new THREE.Vector3(state[0], state[2], state[1]));
+    }
+  }
+  return points;
+}
+
+// Transform from (y/z swapped) attractor space into the scene: (p - center) * factor + offset.
+// Fitted attractors get their bounding box moved and scaled into the shared view volume.
+function attractorViewTransform(points, scale, fitToView) {
+  if (!fitToView) {
+    return { center: new THREE.Vector3(), factor: scale, offset: new THREE.Vector3() };
+  }
+  const box = new THREE.Box3().setFromPoints(points);
+  const size = box.getSize(new THREE.Vector3());
+  const halfExtent = Math.max(size.x, size.y, size.z) / 2 || 1;
+  return {
+    center: box.getCenter(new THREE.Vector3()),
+    factor: (ATTRACTOR_VIEW_RADIUS * scale) / halfExtent,
+    offset: ATTRACTOR_VIEW_CENTER.clone(),
+  };
+}
+
+// View transform of the last generated curve per attractor type, keyed by its parameter values
+const viewTransforms = new Map();
+
+// Slider range for a starting coordinate: generous room around the default
+function startRange(value) {
+  const range = Math.max(5, Math.ceil(Math.abs(value) * 2));
+  return { min: -range, max: range, step: 0.01 };
+}
+
+// Register every attractor above as a curve type
+export function registerAttractorCurves() {
+  Object.entries(ATTRACTORS).forEach(([type, attractor]) => {
+    const coefficientNames = Object.keys(attractor.coefficients);
+    const [startX, startY, startZ] = attractor.start;
+    const fitToView = attractor.fitToView !== false;
+    
+    const pickCoefficients = values => {
+      const coefficients = {};
+      coefficientNames.forEach(name => { coefficients[name] = values[name]; });
+      return coefficients;
+    };
+    
+    const generate = values => {
+      const points = integrateAttractor(attractor.derivative, pickCoefficients(values), {
+        integrator: values.integrator,
+        timeStep: values.timeStep,
+        numPoints: values.numPoints,
+        skipSteps: values.skipSteps,
+        start: [values.startX, values.startY, values.startZ],
+      });
+      const transform = attractorViewTransform(points, values.scale, fitToView);
+      points.forEach(p => p.sub(transform.center).multiplyScalar(transform.factor).add(transform.offset));
+      viewTransforms.set(type, { key: JSON.stringify(values), transform });
+      return points;
+    };
+    
+    registerCurve(type, {
+      label: attractor.label,
+      closed: false, // Chaotic orbits never close
+      parameters: {
+        ...attractor.coefficients,
+        scale: { value: attractor.scale || 1.0, min: 0.1, max: 3.0, step: 0.1, label: 'Scale' },
+        integrator: { value: 'rk4', options: INTEGRATORS, label: 'Integrator' },
+        timeStep: { ...attractor.timeStep, label: 'Time Step' },
+        numPoints: { value: attractor.numPoints, min: 1000, max: 8000, step: 100, label: 'Points' },
+        skipSteps: { value: 500, min: 0, max: 5000, step: 10, label: 'Skip First N Steps' },
+        startX: { value: startX, ...startRange(startX), label: 'Start x' },
+        startY: { value: startY, ...startRange(startY), label: 'Start y' },
+        startZ: { value: startZ, ...startRange(startZ), label: 'Start z' },
+      },
+      generate,
+      // Live flow-field mode: particles integrate their own state through the vector field
+      flowField: values => {
+        const key = JSON.stringify(values);
+        if (viewTransforms.get(type)?.key !== key) {
+          generate(values);
+        }
+        const { center, factor, offset } = viewTransforms.get(type).transform;
+        const coefficients = pickCoefficients(values);
+        const scenePoint = new THREE.Vector3();
+        return {
+          timeStep: values.timeStep,
+          step: createStepper(values.integrator, state => (
+            attractor.derivative(state[0], state[1], state[2], coefficients)
+          )),
+          toScene: (state, target) => target
+            .set(state[0], state[2], state[1]).sub(center).multiplyScalar(factor).add(offset),
+          fromScene: point => {
+            scenePoint.copy(point).sub(offset).divideScalar(factor).add(center);
+            return [scenePoint.x, scenePoint.z, scenePoint.y];
+          },
+        };
+      },
+      framing: values => ({
+        target: attractor.target ? attractor.target(values) : ATTRACTOR_VIEW_CENTER.clone(),
+        position: attractorCameraPosition(),
+      }),
+    });
+  });
+}
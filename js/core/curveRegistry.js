@@ -0,0 +1,98 @@
+// Curve registry - curve types the particles can follow
+//
+// Each curve type is registered with a definition object:
+//   {
+//     label: 'Viviani Curve',             // GUI folder title (defaults to the type)
+//     closed: true,                       // Whether the path loops back onto itself, or a
+//                                         // function of (values, pathIndex)
+//     shareParticlesByLength: false,      // Give each path particles in proportion to its
+//                                         // length instead of round-robin
+//     parameters: {                       // Parameter schema, one GUI control each
+//       a: { value: 15, min: 1, max: 20, step: 0.1, label: 'Curve Scale (a)' },
+//       pattern: { value: '3', label: 'Siteswap', validate: v => ..., onChange: values => ... },
+//       mode: { value: 'flat', options: ['flat', 'extruded'] },
+//       loadFile: { value: values => ..., label: 'Load File…' },
+//     },
+//     generate(values),                   // Returns an array of Vector3, an array of such arrays,
+//                                         // or a Promise of either (e.g. after loading a file)
+//     framing(values),                    // Returns { target, position } for the default camera view
+//     flowField(values),                  // Optional: vector field for the live flow-field mode
+//   }
+//
+// A flow field is { timeStep, step(state, dt), toScene(state, target), fromScene(point) }:
+// `step` integrates a state array by dt, and the two conversions map states to scene
+// positions (Vector3) and back.
+//
+// Numbers with min/max become sliders, strings become text fields, booleans become
+// checkboxes, functions become buttons (called with the curve's values) and parameters
+// with `options` become dropdowns. `validate` may throw to reject a value, and `onChange`
+// may update other values after a change. Code that changes a curve's values outside
+// the GUI (e.g. once a picked file is ready) calls notifyCurveChanged(type).
+//
+// Third-party code can add curves at runtime:
+//   import { registerCurve } from './js/core/curveRegistry.js';
+//   registerCurve('myCurve', { ... });
+
+const curves = new Map();
+const listeners = new Set();
+const changeListeners = new Set();
+
+export function registerCurve(type, definition) {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new TypeError('Curve type must be a non-empty string');
+  }
+  if (!definition || typeof definition.generate !== 'function') {
+    throw new TypeError(`Curve "${type}" needs a generate(values) function`);
+  }
+  if (typeof definition.framing !== 'function') {
+    throw new TypeError(`Curve "${type}" needs a framing(values) function`);
+  }
+
+  curves.set(type, {
+    label: type,
+    closed: false,
+    shareParticlesByLength: false,
+    parameters: {},
+    ...definition,
+  });
+
+  // Let the scene know so it can rebuild its curve controls
+  listeners.forEach(listener => listener(type));
+}
+
+export function getCurve(type) {
+  return curves.get(type);
+}
+
+export function getCurveTypes() {
+  return Array.from(curves.keys());
+}
+
+// Default parameter values for a curve type, as declared in its schema
+export function getDefaultCurveValues(type) {
+  const curve = curves.get(type);
+  const values = {};
+  if (!curve) return values;
+  Object.entries(curve.parameters).forEach(([name, schema]) => {
+    if (typeof schema.value === 'function') return; // Buttons hold no value
+    values[name] = schema.value;
+  });
+  return values;
+}
+
+// Subscribe to curve registrations; returns a function that unsubscribes
+export function onCurveRegistered(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Tell the scene a curve's values changed outside its GUI controls
+export function notifyCurveChanged(type) {
+  changeListeners.forEach(listener => listener(type));
+}
+
+// Subscribe to curve value changes; returns a function that unsubscribes
+export function onCurveChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
@@ -0,0 +1,157 @@
+// Baked curve sampling: positions, tangents and Frenet frames at evenly spaced arc
+// lengths, stored in typed arrays once per curve. Particles look up their points every
+// frame, and a lookup here is an interpolation between two neighbouring samples instead
+// of the arc-length search that three.js curves do in getPointAt. The lookups themselves
+// are in pathSamples.js, for code that runs without three.js.
+import * as THREE from 'three';
+import { interpolateSamples, pathPointInto, pathTangentInto } from './pathSamples.js';
+
+// Baked samples per input point, within these bounds
+const SAMPLES_PER_POINT = 2;
+const MIN_SAMPLES = 1024;
+const MAX_SAMPLES = 32768;
+
+// Dense steps over the curve parameter per baked sample, for measuring arc length
+const MEASURE_STEPS_PER_SAMPLE = 4;
+
+// Scratch space for lookups, copied into the caller's vectors
+const lookup = new Float64Array(3);
+
+export class CurveSampler {
+  // Bake any three.js curve into `samples` equal arc-length steps
+  constructor(curve, samples = MIN_SAMPLES) {
+    this.curve = curve;
+    this.closed = curve.closed ?? false;
+    this.samples = samples;
+    this.bakePositions();
+    this.bakeFrames();
+  }
+
+  // A sampler for a Catmull-Rom spline through the points, with enough samples to
+  // follow every bend
+  static fromPoints(points, closed) {
+    const samples = THREE.MathUtils.clamp(points.length * SAMPLES_PER_POINT, MIN_SAMPLES, MAX_SAMPLES);
+    return new CurveSampler(new THREE.CatmullRomCurve3(points, closed), samples);
+  }
+
+  // Positions at even arc lengths, including the end (the start again on closed curves)
+  bakePositions() {
+    const steps = this.samples * MEASURE_STEPS_PER_SAMPLE;
+    const dense = new Float32Array((steps + 1) * 3);
+    const distances = new Float64Array(steps + 1);
+    const point = new THREE.Vector3();
+    const previous = new THREE.Vector3();
+    for (let i = 0; i <= steps; i++) {
+      this.curve.getPoint(i / steps, point);
+      point.toArray(dense, i * 3);
+      if (i > 0) distances[i] = distances[i - 1] + point.distanceTo(previous);
+      previous.copy(point);
+    }
+    this.length = distances[steps];
+
+    this.positions = new Float32Array((this.samples + 1) * 3);
+    let step = 0;
+    for (let i = 0; i <= this.samples; i++) {
+      const distance = (i / this.samples) * this.length;
+      while (step < steps - 1 && distances[step + 1] < distance) step++;
+      const span = distances[step + 1] - distances[step];
+      const blend = span > 0 ? Math.min(1, Math.max(0, (distance - distances[step]) / span)) : 0;
+      for (let axis = 0; axis < 3; axis++) {
+        const a = dense[step * 3 + axis];
+        this.positions[i * 3 + axis] = a + (dense[(step + 1) * 3 + axis] - a) * blend;
+      }
+    }
+  }
+
+  // Tangents from neighbouring samples, and normals and binormals carried along by
+  // parallel transport (as in three.js's computeFrenetFrames), so they don't flip
+  // where the curve straightens out
+  bakeFrames() {
+    const n = this.samples;
+    const count = n + 1;
+    this.tangents = new Float32Array(count * 3);
+    this.normals = new Float32Array(count * 3);
+    this.binormals = new Float32Array(count * 3);
+
+    const sample = (i, target) => target.fromArray(this.positions, i * 3);
+    const before = new THREE.Vector3();
+    const after = new THREE.Vector3();
+    const tangent = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+      // Closed curves wrap around; open ones use one-sided differences at the ends
+      const previous = this.closed ? (i - 1 + n) % n : Math.max(i - 1, 0);
+      const next = this.closed ? (i + 1) % n : Math.min(i + 1, n);
+      tangent.subVectors(sample(next, after), sample(previous, before));
+      if (tangent.lengthSq() === 0) tangent.set(0, 0, 1);
+      tangent.normalize().toArray(this.tangents, i * 3);
+    }
+
+    // Start with a normal perpendicular to the first tangent, built from the axis the
+    // tangent points along least
+    const t0 = new THREE.Vector3().fromArray(this.tangents, 0);
+    const axis = new THREE.Vector3();
+    const x = Math.abs(t0.x);
+    const y = Math.abs(t0.y);
+    const z = Math.abs(t0.z);
+    if (x <= y && x <= z) axis.set(1, 0, 0);
+    else if (y <= z) axis.set(0, 1, 0);
+    else axis.set(0, 0, 1);
+    const normal = new THREE.Vector3().crossVectors(t0, axis).normalize();
+    normal.crossVectors(t0, normal);
+    const previousTangent = t0.clone();
+    normal.toArray(this.normals, 0);
+
+    for (let i = 1; i < count; i++) {
+      tangent.fromArray(this.tangents, i * 3);
+      axis.crossVectors(previousTangent, tangent);
+      if (axis.length() > Number.EPSILON) {
+        const angle = Math.acos(THREE.MathUtils.clamp(previousTangent.dot(tangent), -1, 1));
+        normal.applyAxisAngle(axis.normalize(), angle);
+      }
+      normal.toArray(this.normals, i * 3);
+      previousTangent.copy(tangent);
+    }
+
+    // Closed curves spread the twist between the last and first normal over the whole loop
+    if (this.closed) {
+      const first = new THREE.Vector3().fromArray(this.normals, 0);
+      const last = new THREE.Vector3().fromArray(this.normals, n * 3);
+      let twist = Math.acos(THREE.MathUtils.clamp(first.dot(last), -1, 1)) / n;
+      if (t0.dot(axis.crossVectors(first, last)) > 0) twist = -twist;
+      for (let i = 1; i < count; i++) {
+        tangent.fromArray(this.tangents, i * 3);
+        normal.fromArray(this.normals, i * 3).applyAxisAngle(tangent, twist * i).toArray(this.normals, i * 3);
+      }
+    }
+
+    const binormal = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+      tangent.fromArray(this.tangents, i * 3);
+      normal.fromArray(this.normals, i * 3);
+      binormal.crossVectors(tangent, normal).toArray(this.binormals, i * 3);
+    }
+  }
+
+  getLength() {
+    return this.length;
+  }
+
+  // Point at arc-length position u (0-1), like Curve.getPointAt
+  getPointAt(u, target = new THREE.Vector3()) {
+    return target.fromArray(pathPointInto(this, u, lookup));
+  }
+
+  // Unit tangent at arc-length position u (0-1), like Curve.getTangentAt
+  getTangentAt(u, target = new THREE.Vector3()) {
+    return target.fromArray(pathTangentInto(this, u, lookup));
+  }
+
+  // Unit tangent, normal and binormal at arc-length position u (0-1). The interpolated
+  // normal is made perpendicular to the tangent again, for sharp turns between samples.
+  getFrameAt(u, tangent, normal, binormal) {
+    this.getTangentAt(u, tangent);
+    normal.fromArray(interpolateSamples(this.normals, this.samples, this.closed, u, lookup));
+    normal.addScaledVector(tangent, -normal.dot(tangent)).normalize();
+    binormal.crossVectors(tangent, normal);
+  }
+}
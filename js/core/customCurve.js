@@ -0,0 +1,139 @@
+// User-defined parametric curve: x(t), y(t) and z(t) typed as math expressions
+import * as THREE from 'three';
+import { registerCurve } from './curveRegistry.js';
+import { parseExpression } from './expression.js';
+
+// Starting values for the named parameters of the default expressions
+const DEFAULT_PARAMETER_VALUES = { R: 10, r: 4, p: 2, q: 3 };
+
+// Fixed controls of the custom curve; named parameters are appended after these
+const BASE_PARAMETERS = {
+  x: { value: '(R + r * cos(q * t)) * cos(p * t)', label: 'x(t)' },
+  y: { value: '(R + r * cos(q * t)) * sin(p * t)', label: 'y(t)' },
+  z: { value: 'r * sin(q * t)', label: 'z(t)' },
+  tMin: { value: '0', label: 't from' },
+  tMax: { value: '2 * pi', label: 't to' },
+  numPoints: { value: 1000, min: 100, max: 5000, step: 100, label: 'Points' },
+  closed: { value: true, label: 'Closed Loop' },
+};
+
+const EXPRESSION_FIELDS = ['x', 'y', 'z', 'tMin', 'tMax'];
+
+// Names the expressions may use without becoming sliders
+const RESERVED_NAMES = ['t'];
+// Names of the curve's own settings, which a named parameter would overwrite
+const SETTING_NAMES = Object.keys(BASE_PARAMETERS);
+
+// Bounding sphere of the last generated curve, used for framing
+const lastBounds = new THREE.Sphere(new THREE.Vector3(), 20);
+
+// Parse every expression field; throws a SyntaxError naming the field that failed
+function parseFields(values) {
+  const parsed = {};
+  EXPRESSION_FIELDS.forEach(field => {
+    const label = BASE_PARAMETERS[field].label;
+    try {
+      parsed[field] = parseExpression(values[field]);
+    } catch (error) {
+      throw new SyntaxError(`${label}: ${error.message}`);
+    }
+    const setting = parsed[field].variables.find(name => SETTING_NAMES.includes(name));
+    if (setting) {
+      throw new SyntaxError(`${label}: "${setting}" is the name of a curve setting, so it can't be a parameter`);
+    }
+  });
+  return parsed;
+}
+
+// Slider schema for a named parameter, with room on both sides of its value
+function namedParameterSchema(name, value) {
+  const range = Math.max(10, Math.ceil(Math.abs(value) * 2));
+  return { value, min: -range, max: range, step: 0.01, label: name };
+}
+
+function generateCustomCurvePoints(values) {
+  const { x, y, z, tMin, tMax } = parseFields(values);
+  const scope = { ...values };
+
+  // The t range may use the named parameters, but not t itself
+  [tMin, tMax].forEach(range => {
+    if (range.variables.includes('t')) {
+      throw new SyntaxError('The t range cannot depend on t');
+    }
+  });
+  const start = tMin.evaluate(scope);
+  const end = tMax.evaluate(scope);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start === end) {
+    throw new RangeError('The t range must be two different finite numbers');
+  }
+
+  // Closed curves skip the last sample, since it coincides with the first one
+  const points = [];
+  const numPoints = values.numPoints;
+  const divisions = values.closed ? numPoints : numPoints - 1;
+  for (let i = 0; i < numPoints; i++) {
+    scope.t = start + (end - start) * (i / divisions);
+    const point = new THREE.Vector3(x.evaluate(scope), y.evaluate(scope), z.evaluate(scope));
+    if (!Number.isFinite(point.x) || !Number.isFinite(point.y) || !Number.isFinite(point.z)) {
+      throw new RangeError(`The curve is not defined at t = ${scope.t.toFixed(3)}`);
+    }
+    points.push(point);
+  }
+
+  new THREE.Box3().setFromPoints(points).getBoundingSphere(lastBounds);
+  return points;
+}
+
+// (Re)register the custom curve with one slider per named parameter in the expressions
+function registerCustomCurveWithParameters(parameterValues) {
+  const parameters = { ...BASE_PARAMETERS };
+  Object.entries(parameterValues).forEach(([name, value]) => {
+    parameters[name] = namedParameterSchema(name, value);
+  });
+
+  // After an expression edit, rebuild the sliders if the set of named parameters changed
+  const onExpressionChange = values => {
+    let parsed;
+    try {
+      parsed = parseFields(values);
+    } catch (error) {
+      return; // Generating the curve reports the error and keeps the last valid curve
+    }
+    const names = new Set();
+    Object.values(parsed).forEach(({ variables }) => {
+      variables.filter(name => !RESERVED_NAMES.includes(name)).forEach(name => names.add(name));
+    });
+
+    const current = Object.keys(parameterValues);
+    const unchanged = current.length === names.size && current.every(name => names.has(name));
+    if (unchanged) return;
+
+    const nextValues = {};
+    names.forEach(name => {
+      nextValues[name] = name in values ? values[name] : (DEFAULT_PARAMETER_VALUES[name] ?? 1);
+      values[name] = nextValues[name];
+    });
+    // Forget parameters that are no longer used
+    current.filter(name => !names.has(name)).forEach(name => { delete values[name]; });
+    registerCustomCurveWithParameters(nextValues);
+  };
+  EXPRESSION_FIELDS.forEach(field => {
+    parameters[field] = { ...parameters[field], onChange: onExpressionChange };
+  });
+
+  registerCurve('custom', {
+    label: 'Custom Curve',
+    closed: values => values.closed,
+    parameters,
+    generate: generateCustomCurvePoints,
+    // Look at the curve from far enough away to fit its bounding sphere
+    framing: () => ({
+      target: lastBounds.center.clone(),
+      position: lastBounds.center.clone().add(new THREE.Vector3(0, 0, lastBounds.radius * 1.8 + 5)),
+    }),
+  });
+}
+
+export function registerCustomCurve() {
+  registerCustomCurveWithParameters({ ...DEFAULT_PARAMETER_VALUES });
+}
@@ -0,0 +1,174 @@
+// Safe math expression parser for user-defined curves
+//
+// Parses expressions such as 'R * cos(p * t) + 2sin(3t)^2' into a function of a scope
+// object, without eval. Supports + - * / % ^, unary minus, parentheses, implicit
+// multiplication ('2t', '3(t + 1)'), the constants below and Math functions.
+// Any other identifier is a variable that must be supplied in the scope. Only the
+// tables' and the scope's own keys count, so 'constructor' or 'toString' are never
+// found on Object.prototype.
+
+const CONSTANTS = {
+  pi: Math.PI,
+  tau: Math.PI * 2,
+  e: Math.E,
+};
+
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, sign: Math.sign,
+  exp: Math.exp, log: Math.log, log2: Math.log2, log10: Math.log10,
+  pow: Math.pow, hypot: Math.hypot, min: Math.min, max: Math.max,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round,
+};
+
+// Split the source into number, identifier and operator tokens
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/gy;
+  let match;
+  while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+    const [, number, identifier, symbol] = match;
+    const position = match.index + match[0].length - (number || identifier || symbol || '').length;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(number), position });
+    } else if (identifier !== undefined) {
+      tokens.push({ type: 'identifier', value: identifier, position });
+    } else if (symbol !== undefined) {
+      if (!'+-*/%^(),'.includes(symbol)) {
+        throw new SyntaxError(`Unexpected character "${symbol}" at position ${position + 1}`);
+      }
+      tokens.push({ type: symbol, position });
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Parse an expression. Returns { evaluate(scope), variables } where `variables` lists
+// the free identifiers the expression reads from the scope. Throws a SyntaxError
+// describing the first problem found.
+export function parseExpression(source) {
+  const tokens = tokenize(String(source));
+  const variables = new Set();
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new SyntaxError(`${message} at position ${token.position + 1}`);
+  };
+  const expect = type => {
+    if (peek().type !== type) {
+      fail(peek().type === 'end' ? `Expected "${type}" but the expression ended` : `Expected "${type}"`);
+    }
+    return next();
+  };
+
+  // additive := multiplicative (('+' | '-') multiplicative)*
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (peek().type === '+' || peek().type === '-') {
+      const operator = next().type;
+      const a = left;
+      const b = parseMultiplicative();
+      left = operator === '+' ? scope => a(scope) + b(scope) : scope => a(scope) - b(scope);
+    }
+    return left;
+  }
+
+  // multiplicative := unary (('*' | '/' | '%' | implicit) unary)*
+  function parseMultiplicative() {
+    let left = parseUnary();
+    for (;;) {
+      const type = peek().type;
+      let operator;
+      if (type === '*' || type === '/' || type === '%') {
+        operator = next().type;
+      } else if (type === 'number' || type === 'identifier' || type === '(') {
+        operator = '*'; // Implicit multiplication, e.g. '2t' or '3(t + 1)'
+      } else {
+        return left;
+      }
+      const a = left;
+      const b = parseUnary();
+      if (operator === '*') left = scope => a(scope) * b(scope);
+      else if (operator === '/') left = scope => a(scope) / b(scope);
+      else left = scope => a(scope) % b(scope);
+    }
+  }
+
+  // unary := ('-' | '+') unary | power
+  function parseUnary() {
+    if (peek().type === '-') {
+      next();
+      const operand = parseUnary();
+      return scope => -operand(scope);
+    }
+    if (peek().type === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary ('^' unary)?  (right-associative, so 2^3^2 = 2^9)
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek().type !== '^') return base;
+    next();
+    const exponent = parseUnary();
+    return scope => Math.pow(base(scope), exponent(scope));
+  }
+
+  // primary := number | constant | variable | function '(' args ')' | '(' additive ')'
+  function parsePrimary() {
+    const token = peek();
+    if (token.type === 'number') {
+      next();
+      const value = token.value;
+      return () => value;
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseAdditive();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'identifier') {
+      next();
+      const name = token.value;
+      if (peek().type === '(') {
+        const fn = Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+        if (!fn) fail(`Unknown function "${name}"`, token);
+        next();
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseAdditive());
+          while (peek().type === ',') {
+            next();
+            args.push(parseAdditive());
+          }
+        }
+        expect(')');
+        return scope => fn(...args.map(arg => arg(scope)));
+      }
+      if (Object.hasOwn(CONSTANTS, name)) {
+        const value = CONSTANTS[name];
+        return () => value;
+      }
+      if (Object.hasOwn(FUNCTIONS, name)) fail(`Function "${name}" needs parentheses`, token);
+      variables.add(name);
+      return scope => (Object.hasOwn(scope, name) ? scope[name] : undefined);
+    }
+    if (token.type === 'end') fail('Unexpected end of expression');
+    return fail(`Unexpected "${token.type}"`);
+  }
+
+  if (peek().type === 'end') fail('Expression is empty');
+  const evaluate = parseAdditive();
+  if (peek().type !== 'end') fail(`Unexpected "${peek().type === 'identifier' ? peek().value : peek().type}"`);
+
+  return { evaluate, variables: Array.from(variables) };
+}
@@ -0,0 +1,31 @@
+// Simulation core: curve generators, curve sampling and the particle simulation, with no
+// DOM, renderer or page state. main.js draws what it produces; Node scripts and tests can
+// import it directly (with the three package installed):
+//
+//   import { getCurve, registerVivianiCurve, getDefaultCurveValues, CurveSampler,
+//     createSimulation } from './js/core/index.js';
+//
+//   registerVivianiCurve();
+//   const points = getCurve('viviani').generate(getDefaultCurveValues('viviani'));
+//   const simulation = createSimulation('weldingSpark', [CurveSampler.fromPoints(points, true)], {
+//     count: 10, trailLength: 20, pathFollowing: 0.5, sparkSize: 1,
+//   });
+export {
+  registerCurve, getCurve, getCurveTypes, getDefaultCurveValues,
+  onCurveRegistered, notifyCurveChanged, onCurveChanged,
+} from './curveRegistry.js';
+export { createVivianiCurvePoints, registerVivianiCurve } from './vivianiCurve.js';
+export { parseSiteswap, createJugglingPatternPoints, registerJugglingCurve } from './jugglingCurve.js';
+export { INTEGRATORS, integrateAttractor, registerAttractorCurves } from './attractors.js';
+export { registerKnotCurves } from './knots.js';
+export { registerCustomCurve } from './customCurve.js';
+export { parseExpression } from './expression.js';
+export { fitOutlinesToView, sampleOutlinePaths, outlineFraming } from './outlines.js';
+export { CurveSampler } from './curveSampler.js';
+export { interpolateSamples, pathPointInto, pathTangentInto, pathTrailInto } from './pathSamples.js';
+export {
+  calculateLifecycleAlpha, GlowSimulation, CometSimulation, SparkSimulation, restoreSimulation,
+} from './particleSimulation.js';
+export { FlowState, assignPaths, createSimulation } from './simulation.js';
+export { benchmarkSampling } from './samplingBenchmark.js';
+export { randomSeed, randomState, createRandom } from './random.js';
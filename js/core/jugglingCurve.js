@@ -0,0 +1,191 @@
+// Juggling patterns: one closed trajectory per ball, from a vanilla siteswap
+import * as THREE from 'three';
+import { registerCurve } from './curveRegistry.js';
+
+// Parse a vanilla siteswap string ('3', '441', '531', 'b97531'...) into throw heights.
+// Throws above 9 use letters (a = 10, b = 11, ...). Throws an Error for invalid patterns.
+export function parseSiteswap(pattern) {
+  const text = String(pattern).trim().toLowerCase();
+  if (!/^[0-9a-z]+$/.test(text)) {
+    throw new Error(`Invalid siteswap "${pattern}": use digits 0-9 and letters a-z`);
+  }
+
+  const throws = Array.from(text, c => parseInt(c, 36));
+  const period = throws.length;
+  const total = throws.reduce((sum, t) => sum + t, 0);
+
+  // The average throw is the number of balls, so it must be a whole number
+  if (total === 0 || total % period !== 0) {
+    throw new Error(`Invalid siteswap "${pattern}": average throw must be a whole number of balls`);
+  }
+
+  // No two throws may land on the same beat
+  const landings = new Set();
+  for (let i = 0; i < period; i++) {
+    const landing = (i + throws[i]) % period;
+    if (landings.has(landing)) {
+      throw new Error(`Invalid siteswap "${pattern}": two balls land on beat ${landing}`);
+    }
+    landings.add(landing);
+  }
+
+  return { throws, balls: total / period };
+}
+
+// Build one closed trajectory per ball for a siteswap pattern.
+// Hands alternate beats (left on even beats, right on odd beats). Odd throws cross
+// to the other hand, even throws return to the same hand and a '2' is a hold.
+// Returns an array of point arrays, one per ball; balls that share an orbit get the same
+// points, each starting where that ball is at the start of the pattern.
+export function createJugglingPatternPoints(balls = 3, throwHeight = 8.0, handSeparation = 6.0,
+                                   throwAngle = 0.3, gravity = 9.8, scale = 1.0, numPoints = 1200, pattern = '3') {
+  // An empty pattern falls back to the basic cascade/fountain for the ball count
+  const { throws } = parseSiteswap(String(pattern).trim() || String(balls));
+  const period = throws.length;
+
+  // Fraction of a beat the ball spends in the hand between catch and throw
+  const dwell = 0.5;
+
+  // The highest throw peaks at throwHeight: peak = g * T^2 / 8 for a flight of T seconds
+  const highest = Math.max(...throws);
+  const maxFlightTime = Math.sqrt(8 * throwHeight / gravity);
+  const beatDuration = maxFlightTime / Math.max(highest - dwell, 1);
+
+  // Balls are caught on the outside and thrown from the inside of each hand.
+  // The throw angle sets how far the hand scoops inwards before releasing.
+  const halfSeparation = handSeparation / 2;
+  const scoop = halfSeparation * Math.sin(throwAngle);
+  const dip = handSeparation * 0.12;
+  const side = hand => (hand === 0 ? -1 : 1);
+  const throwX = hand => side(hand) * (halfSeparation - scoop);
+  const catchX = hand => side(hand) * (halfSeparation + scoop);
+
+  // Odd-length patterns only repeat on the same hands after two passes
+  const cycle = period % 2 === 0 ? period : period * 2;
+
+  // Each orbit is a closed sequence of throw beats; siteswaps permute the beats,
+  // so following landings from any thrown beat always leads back to it
+  const visited = new Array(cycle).fill(false);
+  const orbits = [];
+  for (let start = 0; start < cycle; start++) {
+    if (visited[start] || throws[start % period] === 0) continue;
+    const beats = [];
+    let beat = start;
+    do {
+      visited[beat] = true;
+      beats.push(beat);
+      beat = (beat + throws[beat % period]) % cycle;
+    } while (beat !== start);
+    orbits.push(beats);
+  }
+
+  const paths = [];
+  orbits.forEach(beats => {
+    // Split the orbit into timed segments: a flight followed by a carry for every throw
+    const segments = [];
+    let orbitDuration = 0;
+    beats.forEach(beat => {
+      const value = throws[beat % period];
+      const hand = beat % 2;
+      const targetHand = (beat + value) % 2;
+      const beatsInAir = value === 2 ? 0 : value - dwell;
+
+      if (beatsInAir > 0) {
+        const flightTime = beatsInAir * beatDuration;
+        const startX = throwX(hand);
+        const endX = catchX(targetHand);
+        const verticalSpeed = gravity * flightTime / 2;
+        // Crossing throws pass slightly in front of or behind each other
+        const depth = hand !== targetHand ? side(hand) * handSeparation * 0.08 : 0;
+        segments.push({
+          duration: flightTime,
+          position: u => {
+            const time = u * flightTime;
+            return new THREE.Vector3(
+              startX + (endX - startX) * u,
+              verticalSpeed * time - 0.5 * gravity * time * time,
+              depth * Math.sin(Math.PI * u)
+            );
+          }
+        });
+      }
+
+      // Carry the ball from the catch to the next throw (the whole throw for a hold)
+      const carryBeats = value - beatsInAir;
+      const fromX = beatsInAir > 0 ? catchX(targetHand) : throwX(hand);
+      const toX = throwX(targetHand);
+      segments.push({
+        duration: carryBeats * beatDuration,
+        position: u => new THREE.Vector3(
+          fromX + (toX - fromX) * u,
+          -dip * Math.sin(Math.PI * u),
+          0
+        )
+      });
+      orbitDuration += value * beatDuration;
+    });
+
+    // Sample the orbit at a constant time step, so the points bunch up where the ball is
+    // slow. Particles still move along the path at constant speed (by arc length).
+    const points = [];
+    let segmentIndex = 0;
+    let segmentStart = 0;
+    for (let i = 0; i < numPoints; i++) {
+      const time = (i / numPoints) * orbitDuration;
+      while (segmentIndex < segments.length - 1 && time >= segmentStart + segments[segmentIndex].duration) {
+        segmentStart += segments[segmentIndex].duration;
+        segmentIndex++;
+      }
+      const segment = segments[segmentIndex];
+      const u = Math.min(1, (time - segmentStart) / segment.duration);
+      points.push(segment.position(u).multiplyScalar(scale));
+    }
+
+    // Several balls can share an orbit, each a whole cycle behind the one before it:
+    // start each ball's path that far along the points
+    const ballsOnOrbit = Math.round(orbitDuration / (cycle * beatDuration));
+    for (let i = 0; i < ballsOnOrbit; i++) {
+      const shift = Math.round(i * cycle * beatDuration / orbitDuration * numPoints) % numPoints;
+      paths.push([...points.slice(shift), ...points.slice(0, shift)]);
+    }
+  });
+
+  return paths;
+}
+
+export function registerJugglingCurve() {
+  registerCurve('juggling', {
+    label: 'Juggling Pattern',
+    closed: true, // Every ball orbit is a closed loop
+    parameters: {
+      balls: {
+        value: 3, min: 1, max: 9, step: 1, label: 'Number of Balls',
+        // Picking a ball count switches to the basic cascade/fountain for that many balls
+        onChange: values => { values.pattern = String(values.balls); },
+      },
+      pattern: {
+        value: '3', label: 'Siteswap',
+        validate: value => parseSiteswap(value),
+        onChange: values => { values.balls = parseSiteswap(values.pattern).balls; },
+      },
+      throwHeight: { value: 15, min: 3, max: 15, step: 0.1, label: 'Throw Height' },
+      handSeparation: { value: 3.9, min: 2, max: 12, step: 0.1, label: 'Hand Separation' },
+      throwAngle: { value: 0.41, min: 0, max: 0.8, step: 0.01, label: 'Throw Angle' },
+      gravity: { value: 9.3, min: 5, max: 15, step: 0.1, label: 'Gravity' },
+      scale: { value: 1.1, min: 0.5, max: 2.0, step: 0.1, label: 'Scale' },
+      numPoints: { value: 1500, min: 600, max: 2400, step: 100, label: 'Points' },
+    },
+    generate: values => createJugglingPatternPoints(
+      values.balls, values.throwHeight, values.handSeparation, values.throwAngle,
+      values.gravity, values.scale, values.numPoints, values.pattern
+    ),
+    framing: values => {
+      // Center halfway up the throws and step back far enough to see the highest one
+      const patternHeight = values.throwHeight * values.scale;
+      return {
+        target: new THREE.Vector3(0, patternHeight * 0.5, 0),
+        position: new THREE.Vector3(0, patternHeight * 0.5, Math.max(30, patternHeight * 2.2)),
+      };
+    },
+  });
+}
@@ -0,0 +1,132 @@
+// Knot and Lissajous curve family - torus knots, trefoil, figure-eight knot,
+// 3D Lissajous figures and spherical spirals (loxodromes). All of them are closed loops.
+import * as THREE from 'three';
+import { registerCurve } from './curveRegistry.js';
+
+// Inverse Gudermannian: Mercator "height" of a latitude
+function inverseGudermannian(latitude) {
+  return Math.log(Math.tan(Math.PI / 4 + latitude / 2));
+}
+
+// Curve definitions: parameter schemas, a closed parametric point function over
+// t in [0, 2π) and the curve's approximate radius for framing
+const KNOTS = {
+  torusKnot: {
+    label: 'Torus Knot',
+    parameters: {
+      p: { value: 2, min: 1, max: 12, step: 1, label: 'Windings p' },
+      q: { value: 3, min: 1, max: 12, step: 1, label: 'Windings q' },
+      majorRadius: { value: 12, min: 2, max: 25, step: 0.1, label: 'Major Radius' },
+      minorRadius: { value: 5, min: 0.5, max: 12, step: 0.1, label: 'Minor Radius' },
+    },
+    // Winds p times around the torus axis and q times through its hole
+    point: (t, { p, q, majorRadius, minorRadius }, target) => {
+      const ring = majorRadius + minorRadius * Math.cos(q * t);
+      return target.set(ring * Math.cos(p * t), ring * Math.sin(p * t), minorRadius * Math.sin(q * t));
+    },
+    radius: ({ majorRadius, minorRadius }) => majorRadius + minorRadius,
+  },
+  trefoil: {
+    label: 'Trefoil Knot',
+    parameters: {
+      scale: { value: 5, min: 1, max: 12, step: 0.1, label: 'Scale' },
+      depth: { value: 1, min: 0, max: 3, step: 0.05, label: 'Depth' },
+    },
+    point: (t, { scale, depth }, target) => target.set(
+      Math.sin(t) + 2 * Math.sin(2 * t),
+      Math.cos(t) - 2 * Math.cos(2 * t),
+      -depth * Math.sin(3 * t)
+    ).multiplyScalar(scale),
+    radius: ({ scale }) => 3 * scale,
+  },
+  figureEight: {
+    label: 'Figure-Eight Knot',
+    parameters: {
+      scale: { value: 5, min: 1, max: 12, step: 0.1, label: 'Scale' },
+      depth: { value: 1, min: 0, max: 3, step: 0.05, label: 'Depth' },
+    },
+    point: (t, { scale, depth }, target) => {
+      const ring = 2 + Math.cos(2 * t);
+      return target.set(
+        ring * Math.cos(3 * t),
+        ring * Math.sin(3 * t),
+        depth * Math.sin(4 * t)
+      ).multiplyScalar(scale);
+    },
+    radius: ({ scale }) => 3 * scale,
+  },
+  lissajous: {
+    label: 'Lissajous Figure',
+    parameters: {
+      frequencyX: { value: 3, min: 1, max: 12, step: 1, label: 'Frequency x' },
+      frequencyY: { value: 2, min: 1, max: 12, step: 1, label: 'Frequency y' },
+      frequencyZ: { value: 5, min: 1, max: 12, step: 1, label: 'Frequency z' },
+      phaseX: { value: Math.PI / 2, min: 0, max: Math.PI * 2, step: 0.01, label: 'Phase x' },
+      phaseY: { value: 0, min: 0, max: Math.PI * 2, step: 0.01, label: 'Phase y' },
+      phaseZ: { value: Math.PI / 4, min: 0, max: Math.PI * 2, step: 0.01, label: 'Phase z' },
+      size: { value: 15, min: 2, max: 30, step: 0.1, label: 'Size' },
+    },
+    // Integer frequencies make the figure close after one period of 2π
+    point: (t, values, target) => target.set(
+      Math.sin(values.frequencyX * t + values.phaseX),
+      Math.sin(values.frequencyY * t + values.phaseY),
+      Math.sin(values.frequencyZ * t + values.phaseZ)
+    ).multiplyScalar(values.size),
+    radius: ({ size }) => size * Math.sqrt(3),
+  },
+  loxodrome: {
+    label: 'Spherical Spiral',
+    parameters: {
+      turns: { value: 6, min: 1, max: 30, step: 1, label: 'Turns' },
+      maxLatitude: { value: 1.35, min: 0.2, max: 1.5, step: 0.01, label: 'Max Latitude' },
+      radius: { value: 15, min: 2, max: 30, step: 0.1, label: 'Radius' },
+    },
+    // A rhumb line spirals up to maxLatitude, down to -maxLatitude and back up to the
+    // equator, crossing every meridian at the same angle. Its longitude grows with the
+    // Mercator distance travelled, scaled so the trip ends after a whole number of turns.
+    point: (t, { turns, maxLatitude, radius }, target) => {
+      const latitude = maxLatitude * Math.sin(t);
+      const height = inverseGudermannian(latitude);
+      const peak = inverseGudermannian(maxLatitude);
+      let travelled;
+      if (t < Math.PI / 2) travelled = height;
+      else if (t < Math.PI * 1.5) travelled = 2 * peak - height;
+      else travelled = 4 * peak + height;
+      const longitude = (travelled / (4 * peak)) * turns * Math.PI * 2;
+      return target.set(
+        Math.cos(latitude) * Math.cos(longitude),
+        Math.sin(latitude),
+        Math.cos(latitude) * Math.sin(longitude)
+      ).multiplyScalar(radius);
+    },
+    radius: ({ radius }) => radius,
+  },
+};
+
+// Register every curve above as a closed curve type
+export function registerKnotCurves() {
+  Object.entries(KNOTS).forEach(([type, knot]) => {
+    registerCurve(type, {
+      label: knot.label,
+      closed: true,
+      parameters: {
+        ...knot.parameters,
+        numPoints: { value: 1500, min: 200, max: 5000, step: 100, label: 'Points' },
+      },
+      // Sample one full period, leaving out t = 2π since it coincides with t = 0
+      generate: values => {
+        const points = [];
+        for (let i = 0; i < values.numPoints; i++) {
+          const t = (i / values.numPoints) * Math.PI * 2;
+          points.push(knot.point(t, values, new THREE.Vector3()));
+        }
+        return points;
+      },
+      // Look at the origin from far enough away to fit the whole curve
+      framing: values => ({
+        target: new THREE.Vector3(0, 0, 0),
+        position: new THREE.Vector3(0, 0, knot.radius(values) * 1.8 + 5),
+      }),
+    });
+  });
+}
@@ -0,0 +1,54 @@
+// Helpers shared by curves built from flat outlines (image silhouettes, SVG paths, text)
+import * as THREE from 'three';
+
+// Centre 2D outlines (arrays of points with x and y, y pointing down as in images and
+// SVG) on the origin and scale them to `size` units across their longest side, with y
+// pointing up. Returns new arrays of Vector2.
+export function fitOutlinesToView(outlines, size) {
+  const bounds = new THREE.Box2();
+  outlines.forEach(outline => outline.forEach(point => bounds.expandByPoint(point)));
+  const extent = bounds.getSize(new THREE.Vector2());
+  const scale = size / Math.max(extent.x, extent.y, 1e-6);
+  const center = bounds.getCenter(new THREE.Vector2());
+  return outlines.map(outline => outline.map(point => new THREE.Vector2(
+    (point.x - center.x) * scale,
+    (center.y - point.y) * scale
+  )));
+}
+
+// Sample three.js paths (e.g. SVG subpaths or glyph contours) evenly by length, sharing
+// `numPoints` between them by their lengths. Closed paths (autoClose set, as by an SVG
+// 'Z', or returning to their start) leave out the end point, which coincides with the
+// start. Returns { points, closed } per path.
+export function sampleOutlinePaths(outlinePaths, numPoints) {
+  const totalLength = outlinePaths.reduce((sum, outlinePath) => sum + outlinePath.getLength(), 0);
+  return outlinePaths.map(outlinePath => {
+    const start = outlinePath.getPoint(0);
+    const end = outlinePath.getPoint(1);
+    const closed = outlinePath.autoClose || start.distanceTo(end) < totalLength * 1e-6;
+
+    // Closing only moves the pen back to the start; draw that closing edge explicitly
+    let path = outlinePath;
+    if (closed && start.distanceTo(end) > 0) {
+      path = new THREE.CurvePath();
+      outlinePath.curves.forEach(curve => path.add(curve));
+      path.add(new THREE.LineCurve(end, start));
+    }
+
+    const count = Math.max(8, Math.round(numPoints * outlinePath.getLength() / totalLength));
+    const divisions = closed ? count : count - 1;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      points.push(path.getPoint(i / divisions));
+    }
+    return { points, closed };
+  });
+}
+
+// Look at a fitted outline head-on from far enough away to see all of it
+export function outlineFraming(size) {
+  return {
+    target: new THREE.Vector3(0, 0, 0),
+    position: new THREE.Vector3(0, 0, size * 0.75 + 5),
+  };
+}
@@ -0,0 +1,507 @@
+// Particle simulation for glow, comet and welding spark particles. Each simulation keeps
+// its particles' state in typed arrays and follows baked path samples (see CurveSampler),
+// without three.js or the DOM, so the same code steps the particles in the simulation
+// worker (see ../simulationWorker.js) or, as a fallback, on the main thread.
+//
+// Every step takes the current settings: the particle type's params plus
+// scatterRadius, lifecycle, dt and, in flow-field mode, flowSpeed. dt is the time since
+// the last step in frames at 60 Hz (the rate the speed settings were tuned at), scaled
+// by the playback speed; it is negative when playing backwards. Flow-field mode hands each
+// particle a FlowState (see simulation.js), which only exists on the main thread.
+//
+// All randomness comes from the simulation's seeded generator (see random.js), whose
+// state travels with the rest of the simulation state.
+import { pathPointInto, pathTangentInto, pathTrailInto } from './pathSamples.js';
+import { createRandom, randomState } from './random.js';
+
+// A random scatter offset within radius of the path, for particle i
+function randomizeScatter(scatter, i, radius, random) {
+  scatter[i * 3] = (random() - 0.5) * 2 * radius;
+  scatter[i * 3 + 1] = (random() - 0.5) * 2 * radius;
+  scatter[i * 3 + 2] = (random() - 0.5) * 2 * radius;
+}
+
+function writeVector(vector, out, offset) {
+  out[offset] = vector.x;
+  out[offset + 1] = vector.y;
+  out[offset + 2] = vector.z;
+}
+
+// Fill count vec3s of out, starting at offset, with the vec3 at out[offset]
+function repeatVector(out, offset, count) {
+  for (let k = 1; k < count; k++) {
+    out.copyWithin(offset + k * 3, offset, offset + 3);
+  }
+}
+
+// Lifecycle alpha (0-1) over each trip along the path: fade in, stay, fade out
+export function calculateLifecycleAlpha(lifecycleOffset, t, lifecycle) {
+  if (!lifecycle.enabled) return 1.0;
+  const { fadeInTime, stableTime, fadeOutTime } = lifecycle;
+
+  // Normalized lifecycle position (0-1)
+  const lifecyclePos = (lifecycleOffset + t) % 1.0;
+
+  let alpha = 1.0;
+  if (lifecyclePos < fadeInTime) {
+    // Fade in stage
+    alpha = lifecyclePos / fadeInTime;
+  } else if (lifecyclePos >= fadeInTime + stableTime) {
+    // Fade out stage
+    const fadeOutPosition = (lifecyclePos - fadeInTime - stableTime) / fadeOutTime;
+    alpha = 1.0 - fadeOutPosition;
+  }
+  return Math.max(0, Math.min(1, alpha));
+}
+
+// Shared state and motion of particles riding a path: where along it they are (t,
+// 0-1), their speed variation, lifecycle offset and scatter offset
+class ParticleSimulation {
+  // paths: baked samples ({ positions, tangents, samples, closed }) the particles follow.
+  // state: typed arrays made by create(), possibly handed over from another thread.
+  // flows: per-particle flow-field states in flow-field mode, else null.
+  constructor(paths, state, flows = null) {
+    this.paths = paths;
+    this.state = state;
+    this.flows = flows;
+    this.random = createRandom(state.randomState);
+    // Time not yet recorded into flow-field trails, in frames (see historyFrames)
+    this.historyClock = 0;
+    this.point = new Float64Array(3);
+    this.tangent = new Float64Array(3);
+  }
+
+  // options: count, pathIndices (path per particle), randomOffset (lifecycle),
+  // scatterRadius, and seed or the randomState to draw from (see random.js).
+  // speedSpread is how much faster than half speed a particle can go.
+  static createState(options, speedSpread) {
+    const { count, pathIndices, randomOffset, scatterRadius, seed = 0 } = options;
+    const generatorState = options.randomState ?? randomState(seed, 'simulation');
+    const random = createRandom(generatorState);
+    const state = {
+      count,
+      randomState: generatorState,
+      pathIndices: Uint32Array.from(pathIndices),
+      t: new Float64Array(count),
+      speedRandomness: new Float32Array(count),
+      lifecycleOffsets: new Float32Array(count),
+      scatter: new Float32Array(count * 3),
+      // Set when a particle on an open path jumps back to the start, to fade it in
+      justReset: new Uint8Array(count),
+    };
+    for (let i = 0; i < count; i++) {
+      state.t[i] = random();
+      state.speedRandomness[i] = 0.5 + random() * speedSpread;
+      state.lifecycleOffsets[i] = random() * randomOffset;
+      randomizeScatter(state.scatter, i, scatterRadius, random);
+    }
+    return state;
+  }
+
+  // Move particle i along its path by dt frames. Returns true when it went past either
+  // end and carried on from the other, with a new scatter offset.
+  advance(i, speedFactor, scatterRadius, dt) {
+    const state = this.state;
+    state.t[i] += speedFactor * state.speedRandomness[i] * dt;
+    if (state.t[i] >= 0 && state.t[i] < 1) return false;
+
+    state.t[i] -= Math.floor(state.t[i]);
+    randomizeScatter(state.scatter, i, scatterRadius, this.random);
+    // For open curves, flag that a reset just happened to handle fading
+    if (!this.flows && !this.paths[state.pathIndices[i]].closed) {
+      state.justReset[i] = 1;
+    }
+    return true;
+  }
+
+  // Scattered point on particle i's path at t, written into out at offset
+  pathPoint(i, t, out, offset) {
+    const state = this.state;
+    pathPointInto(this.paths[state.pathIndices[i]], t, out, offset);
+    out[offset] += state.scatter[i * 3];
+    out[offset + 1] += state.scatter[i * 3 + 1];
+    out[offset + 2] += state.scatter[i * 3 + 2];
+  }
+
+  // Particle i's trail along its path: where it was one frame ago, two frames ago and so
+  // on, worked out from its speed rather than recorded, so it has the same shape at any
+  // frame rate or playback direction. Open paths pile the trail up at their start.
+  pathTrail(i, speedFactor, out, start, length) {
+    const state = this.state;
+    const spacing = speedFactor * state.speedRandomness[i];
+    pathTrailInto(this.paths[state.pathIndices[i]], state.t[i], spacing, length, out, start,
+      state.scatter[i * 3], state.scatter[i * 3 + 1], state.scatter[i * 3 + 2]);
+  }
+
+  // Whole frames to record into flow-field trails this step. Their particles can't be
+  // traced back analytically, so they keep one recent position per frame at 60 Hz,
+  // however often the steps come.
+  historyFrames(dt) {
+    this.historyClock += Math.abs(dt);
+    const frames = Math.floor(this.historyClock);
+    this.historyClock -= frames;
+    return frames;
+  }
+
+  // Push particle i's head onto the front of its recent positions (length vec3s of out,
+  // from start), once for each of frames; with none, the newest position moves along
+  pushHistory(i, frames, out, start, length) {
+    for (let f = 0; f < Math.min(frames, length); f++) {
+      out.copyWithin(start + 3, start, start + (length - 1) * 3);
+    }
+    this.headPoint(i, out, start);
+  }
+
+  // Where particle i is now: its flow state, or its scattered point on the path
+  headPoint(i, out, offset) {
+    if (this.flows) {
+      writeVector(this.flows[i].position, out, offset);
+    } else {
+      this.pathPoint(i, this.state.t[i], out, offset);
+    }
+  }
+
+  // Lifecycle alpha plus, for particles riding an open curve, a fade-out/fade-in
+  // that hides the jump from the end of the curve back to its start.
+  // Flow-field particles move continuously, so they never need it. Playing backwards,
+  // particles fade out towards the start instead.
+  particleAlpha(i, lifecycle, reversed = false) {
+    const state = this.state;
+    const t = state.t[i];
+    let finalAlpha = calculateLifecycleAlpha(state.lifecycleOffsets[i], t, lifecycle);
+    if (this.flows || this.paths[state.pathIndices[i]].closed) return finalAlpha;
+
+    const { fadeInTime, fadeOutTime } = lifecycle;
+    const fadeOutStartT = 1.0 - fadeOutTime; // Start fading out in the last portion
+
+    if (t > fadeOutStartT) {
+      // Fading out as it approaches the end
+      finalAlpha *= 1.0 - (t - fadeOutStartT) / fadeOutTime;
+    } else if ((state.justReset[i] || reversed) && t < fadeInTime) {
+      // Fading in after a reset; the flag clears once the fade-in is complete
+      const fadeInProgress = t / fadeInTime;
+      finalAlpha *= fadeInProgress;
+      if (fadeInProgress >= 1.0) state.justReset[i] = 0;
+    } else if (state.justReset[i]) {
+      // It has been reset, but we are past the fade-in time
+      state.justReset[i] = 0;
+    }
+    return finalAlpha;
+  }
+}
+
+// Glow particles: a trail per particle, head first, back along its path (or through its
+// recent positions in flow-field mode)
+export class GlowSimulation extends ParticleSimulation {
+  // options: as for createState, plus trailLength and flows
+  static create(paths, options) {
+    const { count, trailLength } = options;
+    const state = ParticleSimulation.createState(options, 1.0);
+    state.trailLength = trailLength;
+    state.trailPositions = new Float32Array(count * trailLength * 3);
+    state.lifecycleAlphas = new Float32Array(count * trailLength).fill(1.0);
+
+    const simulation = new GlowSimulation(paths, state, options.flows);
+    for (let i = 0; i < count; i++) {
+      if (simulation.flows) {
+        // The trail grows out of the starting point as the particle moves
+        simulation.collapseTrail(i);
+      } else {
+        simulation.pathTrail(i, options.speedFactor, state.trailPositions, i * trailLength * 3, trailLength);
+      }
+    }
+    return simulation;
+  }
+
+  // The arrays to draw from: trail positions and per-vertex lifecycle alphas
+  get outputs() {
+    return { trailPositions: this.state.trailPositions, lifecycleAlphas: this.state.lifecycleAlphas };
+  }
+
+  step({ speedFactor, scatterRadius, lifecycle, flowSpeed = 1, dt = 1 }) {
+    const state = this.state;
+    const trailLength = state.trailLength;
+    const positions = state.trailPositions;
+    const frames = this.flows ? this.historyFrames(dt) : 0;
+
+    for (let i = 0; i < state.count; i++) {
+      const start = i * trailLength * 3;
+      const flow = this.flows && this.flows[i];
+
+      if (flow) {
+        // Flow-field particles start over somewhere else on the attractor, and to prevent
+        // a line from the old end to the new start, teleport the whole trail
+        if (this.advance(i, speedFactor, scatterRadius, dt)) {
+          flow.respawn(scatterRadius);
+          this.collapseTrail(i);
+        }
+        if (flow.advance(flowSpeed * state.speedRandomness[i] * dt, scatterRadius)) {
+          this.collapseTrail(i);
+        }
+        this.pushHistory(i, frames, positions, start, trailLength);
+      } else {
+        this.advance(i, speedFactor, scatterRadius, dt);
+        this.pathTrail(i, speedFactor, positions, start, trailLength);
+      }
+
+      // Apply lifecycle alpha, with special handling for open curves
+      if (lifecycle.enabled) {
+        state.lifecycleAlphas.fill(this.particleAlpha(i, lifecycle, dt < 0), i * trailLength, (i + 1) * trailLength);
+      }
+    }
+  }
+
+  // Collapse particle i's whole trail onto where it is now
+  collapseTrail(i) {
+    const start = i * this.state.trailLength * 3;
+    this.headPoint(i, this.state.trailPositions, start);
+    repeatVector(this.state.trailPositions, start, this.state.trailLength);
+  }
+}
+
+// Comets: a head, and a tail sampled back along the path behind it
+export class CometSimulation extends ParticleSimulation {
+  // options: as for createState, plus tailLength and flows
+  static create(paths, options) {
+    const { count, tailLength } = options;
+    const state = ParticleSimulation.createState(options, 1.0);
+    state.tailLength = tailLength;
+    state.headPositions = new Float32Array(count * 3);
+    state.tailPositions = new Float32Array(count * tailLength * 3);
+    state.headLifecycleAlphas = new Float32Array(count).fill(1.0);
+    state.tailLifecycleAlphas = new Float32Array(count * tailLength).fill(1.0);
+
+    // Start with the head and the whole tail at the initial position
+    const simulation = new CometSimulation(paths, state, options.flows);
+    for (let i = 0; i < count; i++) {
+      simulation.headPoint(i, state.headPositions, i * 3);
+      simulation.collapseTail(i);
+    }
+    return simulation;
+  }
+
+  // The arrays to draw from: head and tail positions and their lifecycle alphas
+  get outputs() {
+    const state = this.state;
+    return {
+      headPositions: state.headPositions,
+      tailPositions: state.tailPositions,
+      headLifecycleAlphas: state.headLifecycleAlphas,
+      tailLifecycleAlphas: state.tailLifecycleAlphas,
+    };
+  }
+
+  step({ speedFactor, scatterRadius, lifecycle, flowSpeed = 1, dt = 1 }) {
+    const state = this.state;
+    const tailLength = state.tailLength;
+    const frames = this.flows ? this.historyFrames(dt) : 0;
+
+    for (let i = 0; i < state.count; i++) {
+      const flow = this.flows && this.flows[i];
+      const tailStart = i * tailLength * 3;
+
+      // Flow-field comets start over somewhere else on the attractor
+      if (this.advance(i, speedFactor, scatterRadius, dt) && flow) {
+        flow.respawn(scatterRadius);
+        this.collapseTail(i);
+      }
+      if (flow && flow.advance(flowSpeed * state.speedRandomness[i] * dt, scatterRadius)) {
+        this.collapseTail(i);
+      }
+
+      this.headPoint(i, state.headPositions, i * 3);
+      if (flow) {
+        // Flow-field comets leave their recent positions behind as the tail
+        this.pushHistory(i, frames, state.tailPositions, tailStart, tailLength);
+      } else {
+        // A smooth tail sampled backwards along the curve
+        this.pathTrail(i, speedFactor * 0.95, state.tailPositions, tailStart, tailLength);
+      }
+
+      // Apply lifecycle alpha, with special handling for open curves
+      if (lifecycle.enabled) {
+        const finalAlpha = this.particleAlpha(i, lifecycle, dt < 0);
+        state.headLifecycleAlphas[i] = finalAlpha;
+        state.tailLifecycleAlphas.fill(finalAlpha, i * tailLength, (i + 1) * tailLength);
+      }
+    }
+  }
+
+  // Collapse comet i's tail onto its head, so a respawned comet doesn't drag a line behind it
+  collapseTail(i) {
+    const start = i * this.state.tailLength * 3;
+    this.headPoint(i, this.state.tailPositions, start);
+    repeatVector(this.state.tailPositions, start, this.state.tailLength);
+  }
+}
+
+// Welding sparks: each particle is an emitter moving along the path, throwing off short-
+// lived sparks. Every emitter owns a fixed run of spark slots; unused slots have no size.
+export class SparkSimulation extends ParticleSimulation {
+  // options: as for createState, plus trailLength (spark lifetime), flows, and the
+  // pathFollowing and sparkSize settings for the first burst of sparks
+  static create(paths, options) {
+    const { count, trailLength } = options;
+    const state = ParticleSimulation.createState(options, 1.5); // More speed variation than glow
+    state.capacity = trailLength * 3; // Generate more particles for effect
+    const slots = count * state.capacity;
+    state.activeSparks = new Uint16Array(count);
+    state.sparkPositions = new Float32Array(slots * 3);
+    state.sparkVelocities = new Float32Array(slots * 3);
+    state.sparkSizes = new Float32Array(slots);
+    state.sparkLives = new Float32Array(slots);
+    state.lifecycleAlphas = new Float32Array(slots).fill(1.0);
+
+    // Initial emission of sparks
+    const simulation = new SparkSimulation(paths, state, options.flows);
+    for (let i = 0; i < count; i++) {
+      simulation.emitSparks(i, options);
+    }
+    return simulation;
+  }
+
+  // The arrays to draw from: spark positions, sizes, lives and lifecycle alphas
+  get outputs() {
+    const state = this.state;
+    return {
+      sparkPositions: state.sparkPositions,
+      sparkSizes: state.sparkSizes,
+      sparkLives: state.sparkLives,
+      lifecycleAlphas: state.lifecycleAlphas,
+    };
+  }
+
+  emitSparks(i, { pathFollowing, sparkSize }) {
+    const state = this.state;
+    const origin = this.point;
+    const tangent = this.tangent;
+    if (this.flows) {
+      // Emit from the flow state, biased along its direction of travel
+      writeVector(this.flows[i].position, origin, 0);
+      writeVector(this.flows[i].direction, tangent, 0);
+    } else {
+      // Emit from the curve, biased along its tangent
+      this.pathPoint(i, state.t[i], origin, 0);
+      pathTangentInto(this.paths[state.pathIndices[i]], state.t[i], tangent, 0);
+    }
+
+    // Emit a burst of sparks
+    const numNewSparks = Math.floor(2 + this.random() * 5);
+    for (let n = 0; n < numNewSparks; n++) {
+      if (state.activeSparks[i] >= state.capacity) break;
+
+      // Random direction with some bias toward curve tangent
+      const tangentInfluence = pathFollowing * (0.7 + this.random() * 0.3); // Controlled by pathFollowing
+      const randomInfluence = 1.0 - tangentInfluence;
+
+      // Random component (spherical coordinates)
+      const angle = this.random() * Math.PI * 2;
+      const elevation = this.random() * Math.PI - Math.PI / 2; // Full sphere
+
+      // Mix random direction with tangent based on influence
+      let x = tangent[0] * tangentInfluence + Math.cos(angle) * Math.cos(elevation) * randomInfluence;
+      let y = tangent[1] * tangentInfluence + Math.sin(elevation) * randomInfluence;
+      let z = tangent[2] * tangentInfluence + Math.sin(angle) * Math.cos(elevation) * randomInfluence;
+      let length = Math.hypot(x, y, z) || 1;
+
+      // Add some gravity bias in y direction
+      y = y / length - 0.2 * (1 - pathFollowing); // Less gravity when following path closely
+      x /= length;
+      z /= length;
+      length = Math.hypot(x, y, z) || 1;
+
+      // Vary the speed
+      const speed = (0.05 + this.random() * 0.15) / length;
+
+      // Set the position at the emission point, and initial properties
+      const slot = i * state.capacity + state.activeSparks[i];
+      state.sparkPositions.set(origin, slot * 3);
+      state.sparkVelocities[slot * 3] = x * speed;
+      state.sparkVelocities[slot * 3 + 1] = y * speed;
+      state.sparkVelocities[slot * 3 + 2] = z * speed;
+      state.sparkSizes[slot] = (0.2 + this.random() * 0.8) * sparkSize;
+      state.sparkLives[slot] = 1.0;
+      state.activeSparks[i]++;
+    }
+  }
+
+  step(settings) {
+    const { speedFactor, scatterRadius, lifecycle, flowSpeed = 1, dt = 1 } = settings;
+    const state = this.state;
+    const capacity = state.capacity;
+    const positions = state.sparkPositions;
+    const velocities = state.sparkVelocities;
+    // Emitted sparks can't be played backwards: they keep burning down whichever way
+    // the emitters go
+    const age = Math.abs(dt);
+    // A 30% chance of a burst per frame
+    const burstChance = 1 - Math.pow(0.7, age);
+    const shrink = Math.pow(0.98, age);
+
+    for (let i = 0; i < state.count; i++) {
+      const flow = this.flows && this.flows[i];
+
+      // Flow-field emitters start over somewhere else on the attractor
+      if (this.advance(i, speedFactor, scatterRadius, dt) && flow) {
+        flow.respawn(scatterRadius);
+      }
+      if (flow) {
+        flow.advance(flowSpeed * state.speedRandomness[i] * dt, scatterRadius);
+      }
+
+      // Always emit sparks at the current location (more frequent than glow)
+      if (this.random() < burstChance) {
+        this.emitSparks(i, settings);
+      }
+
+      // Update the emitter's sparks, moving the live ones to the front of its slots
+      const first = i * capacity;
+      const active = state.activeSparks[i];
+      let alive = first;
+      for (let slot = first; slot < first + active; slot++) {
+        // Reduce spark life
+        state.sparkLives[slot] -= (0.03 + this.random() * 0.02) * age;
+        if (state.sparkLives[slot] <= 0) continue;
+
+        // Apply velocity and gravity (velocities are per frame)
+        velocities[slot * 3 + 1] -= 0.001 * age; // Gravity effect
+        positions[slot * 3] += velocities[slot * 3] * age;
+        positions[slot * 3 + 1] += velocities[slot * 3 + 1] * age;
+        positions[slot * 3 + 2] += velocities[slot * 3 + 2] * age;
+
+        // Reduce size as life decreases
+        state.sparkSizes[slot] *= shrink;
+
+        if (slot !== alive) {
+          positions.copyWithin(alive * 3, slot * 3, slot * 3 + 3);
+          velocities.copyWithin(alive * 3, slot * 3, slot * 3 + 3);
+          state.sparkSizes[alive] = state.sparkSizes[slot];
+          state.sparkLives[alive] = state.sparkLives[slot];
+        }
+        alive++;
+      }
+
+      // Slots that are no longer in use draw nothing
+      state.sparkSizes.fill(0, alive, first + active);
+      state.sparkLives.fill(0, alive, first + active);
+      state.activeSparks[i] = alive - first;
+
+      // Apply lifecycle alpha
+      if (lifecycle.enabled) {
+        state.lifecycleAlphas.fill(calculateLifecycleAlpha(state.lifecycleOffsets[i], state.t[i], lifecycle), first, first + capacity);
+      }
+    }
+  }
+}
+
+// Simulation classes by particle type
+export const SIMULATIONS = {
+  glow: GlowSimulation,
+  comet: CometSimulation,
+  weldingSpark: SparkSimulation,
+};
+
+// Rebuild a simulation from state made elsewhere (e.g. handed to the simulation worker)
+export function restoreSimulation(type, paths, state) {
+  return new SIMULATIONS[type](paths, state);
+}
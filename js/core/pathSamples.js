@@ -0,0 +1,58 @@
+// Lookups into a curve's baked arc-length samples (see CurveSampler). They work on plain
+// arrays, without three.js, so the simulation worker can follow the same paths.
+
+// Linear interpolation into a baked array of vec3s at arc-length position u (wrapped on
+// closed paths, clamped on open ones), written into out at offset
+export function interpolateSamples(array, samples, closed, u, out, offset = 0) {
+  u = closed ? u - Math.floor(u) : Math.min(Math.max(u, 0), 1);
+  const position = u * samples;
+  const index = Math.min(Math.floor(position), samples - 1);
+  const blend = position - index;
+  const a = index * 3;
+  const b = a + 3;
+  out[offset] = array[a] + (array[b] - array[a]) * blend;
+  out[offset + 1] = array[a + 1] + (array[b + 1] - array[a + 1]) * blend;
+  out[offset + 2] = array[a + 2] + (array[b + 2] - array[a + 2]) * blend;
+  return out;
+}
+
+// Point on a baked path ({ positions, samples, closed }) at arc-length position u
+export function pathPointInto(path, u, out, offset = 0) {
+  return interpolateSamples(path.positions, path.samples, path.closed, u, out, offset);
+}
+
+// Unit tangent of a baked path ({ tangents, samples, closed }) at arc-length position u
+export function pathTangentInto(path, u, out, offset = 0) {
+  interpolateSamples(path.tangents, path.samples, path.closed, u, out, offset);
+  const length = Math.hypot(out[offset], out[offset + 1], out[offset + 2]) || 1;
+  out[offset] /= length;
+  out[offset + 1] /= length;
+  out[offset + 2] /= length;
+  return out;
+}
+
+// count points on a baked path, at arc-length positions u, u - spacing, u - 2 * spacing
+// and so on, moved by (dx, dy, dz) and written one after another into out from offset.
+// Trails look up dozens of points per particle every step, so this walks back through
+// the samples in one tight loop instead of wrapping each position on its own.
+export function pathTrailInto(path, u, spacing, count, out, offset = 0, dx = 0, dy = 0, dz = 0) {
+  const { positions, samples, closed } = path;
+  const step = spacing * samples;
+  const end = offset + count * 3;
+  let position = (closed ? u - Math.floor(u) : Math.min(Math.max(u, 0), 1)) * samples;
+  for (; offset < end; offset += 3, position -= step) {
+    // Closed paths wrap round to the end; open ones stop at their start
+    if (position < 0) position = closed ? position - Math.floor(position / samples) * samples : 0;
+    let index = position | 0;
+    if (index >= samples) index = samples - 1;
+    const blend = position - index;
+    const a = index * 3;
+    const x = positions[a];
+    const y = positions[a + 1];
+    const z = positions[a + 2];
+    out[offset] = x + (positions[a + 3] - x) * blend + dx;
+    out[offset + 1] = y + (positions[a + 4] - y) * blend + dy;
+    out[offset + 2] = z + (positions[a + 5] - z) * blend + dz;
+  }
+  return out;
+}
@@ -0,0 +1,39 @@
+// Seeded randomness, so the same seed always gives the same animation. Everything
+// random (particle placement, speeds, scatter, colors, spark bursts) draws from a
+// mulberry32 generator instead of Math.random.
+//
+// A generator's whole state is one uint32 in a Uint32Array, which the simulation keeps
+// with the rest of its state, so a simulation handed to the worker carries on with the
+// same sequence.
+
+// A random 32-bit seed, for rerolling
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Generator state for one stream of a seed. Each use (the simulation, particle colors...)
+// draws from its own named stream, so e.g. recoloring the particles leaves their motion
+// alone.
+export function randomState(seed, stream = '') {
+  // FNV-1a hash of the stream name, mixed into the seed
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < stream.length; i++) {
+    hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193);
+  }
+  let h = (seed ^ hash) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return Uint32Array.of((h ^ (h >>> 16)) >>> 0);
+}
+
+// A mulberry32 generator over state (see randomState), advancing it in place. Returns
+// numbers in [0, 1) like Math.random.
+export function createRandom(state) {
+  return () => {
+    state[0] += 0x6d2b79f5;
+    let t = state[0];
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,40 @@
+// Per-frame cost of following the curves, with and without baking them (see
+// CurveSampler). The timings run on a simulation of their own, so whatever is on screen
+// is left alone.
+import * as THREE from 'three';
+import { createSimulation } from './simulation.js';
+
+// Path lookups one particle makes per frame: one per trail point for glow and comet
+// trails, one for each spark emitter
+const LOOKUPS_PER_PARTICLE = {
+  glow: config => config.trailLength,
+  comet: config => config.tailLength,
+  weldingSpark: () => 1,
+};
+
+// Time `frames` frames of particleType particles on paths (CurveSamplers), built from
+// createSimulation's config and stepped with settings. Returns milliseconds per frame:
+//   spline    - the path lookups one frame needs, through the Catmull-Rom splines'
+//               getPointAt, as particles followed curves before they were baked
+//   sampler   - the same lookups through the baked samples
+//   simulation - a whole simulation step on the baked samples, trails and all
+export function benchmarkSampling(particleType, paths, config, settings, frames = 60) {
+  const lookups = config.count * LOOKUPS_PER_PARTICLE[particleType](config);
+  const point = new THREE.Vector3();
+  const timePerFrame = run => {
+    const start = performance.now();
+    for (let frame = 0; frame < frames; frame++) run(frame);
+    return (performance.now() - start) / frames;
+  };
+  const lookupFrame = getPointAt => frame => {
+    for (let i = 0; i < lookups; i++) getPointAt(paths[i % paths.length], ((i + frame) / lookups) % 1);
+  };
+
+  const simulation = createSimulation(particleType, paths, config);
+  return {
+    lookups,
+    spline: timePerFrame(lookupFrame((path, u) => path.curve.getPointAt(u, point))),
+    sampler: timePerFrame(lookupFrame((path, u) => path.getPointAt(u, point))),
+    simulation: timePerFrame(() => simulation.step(settings)),
+  };
+}
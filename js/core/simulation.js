@@ -0,0 +1,110 @@
+// Simulation setup: shares particles out over a curve's paths and, in flow-field mode,
+// gives each one its own state in the curve's vector field. Everything is passed in as
+// plain config, so scripts and tests can run a simulation without the page:
+//
+//   const paths = pointLists.map(points => CurveSampler.fromPoints(points, true));
+//   const simulation = createSimulation('glow', paths, { count: 100, trailLength: 20 });
+//   simulation.step({ speedFactor: 0.001, scatterRadius: 0, lifecycle: { enabled: false } });
+//   simulation.outputs.trailPositions; // Float32Array of count * trailLength vec3s
+import * as THREE from 'three';
+import { SIMULATIONS } from './particleSimulation.js';
+import { createRandom, randomState } from './random.js';
+
+// A particle's own state point in a curve's vector field (flow-field mode).
+// Each one is integrated every frame, so nearby particles visibly drift apart.
+export class FlowState {
+  // random: the simulation's seeded generator (see random.js)
+  constructor(field, path, scatterRadius, random) {
+    this.field = field;
+    this.path = path;
+    this.random = random;
+    this.position = new THREE.Vector3();
+    this.direction = new THREE.Vector3(1, 0, 0);
+    this.previousPosition = new THREE.Vector3();
+    this.respawn(scatterRadius);
+  }
+
+  // Start again from a random point within radius of the curve
+  respawn(radius) {
+    const start = this.path.getPointAt(this.random()).add(new THREE.Vector3(
+      (this.random() - 0.5) * 2 * radius,
+      (this.random() - 0.5) * 2 * radius,
+      (this.random() - 0.5) * 2 * radius
+    ));
+    this.state = this.field.fromScene(start);
+    this.field.toScene(this.state, this.position);
+  }
+
+  // Integrate one frame forward, at speed times the field's time step. Returns true if
+  // the particle had to respawn because its state ran off to infinity.
+  advance(speed, scatterRadius) {
+    const dt = this.field.timeStep * speed;
+    const next = this.field.step(this.state, dt);
+    if (!next.every(Number.isFinite)) {
+      this.respawn(scatterRadius);
+      return true;
+    }
+    this.state = next;
+    this.previousPosition.copy(this.position);
+    this.field.toScene(this.state, this.position);
+
+    // Direction of travel, used where path particles would use the curve tangent
+    this.direction.subVectors(this.position, this.previousPosition);
+    if (this.direction.lengthSq() > 0) this.direction.normalize();
+    return false;
+  }
+}
+
+// Path index for each of count particles: round-robin over the paths, or, given the
+// paths' lengths, consecutive runs of particles sized by path length
+export function assignPaths(count, pathCount, pathLengths = null) {
+  const pathIndices = new Uint32Array(count);
+  const totalLength = pathLengths ? pathLengths.reduce((sum, length) => sum + length, 0) : 0;
+  for (let i = 0; i < count; i++) {
+    if (!pathLengths) {
+      pathIndices[i] = i % pathCount;
+      continue;
+    }
+    let position = ((i + 0.5) / count) * totalLength;
+    let path = 0;
+    while (path < pathCount - 1) {
+      position -= pathLengths[path];
+      if (position < 0) break;
+      path++;
+    }
+    pathIndices[i] = path;
+  }
+  return pathIndices;
+}
+
+// Create a simulation of particleType ('glow', 'comet' or 'weldingSpark') particles
+// following paths (CurveSamplers, one per curve path; paths that share points may be the
+// same sampler). config holds count, seed, randomOffset (lifecycle), scatterRadius and the
+// particle type's settings (trailLength or tailLength, pathFollowing, sparkSize), and
+// optionally pathLengths to share particles out by length, and flowField to move the
+// particles through the curve's vector field instead.
+export function createSimulation(particleType, paths, config) {
+  const { count, seed = 0, pathLengths = null, flowField = null, randomOffset = 0, scatterRadius = 0 } = config;
+  const pathIndices = assignPaths(count, paths.length, pathLengths);
+
+  // The simulation refers to each distinct path by index
+  const distinctPaths = [...new Set(paths)];
+  // Flow states draw from the same generator as the rest of the simulation
+  const generatorState = randomState(seed, 'simulation');
+  const random = createRandom(generatorState);
+  const flows = flowField ? [] : null;
+  for (let i = 0; i < count; i++) {
+    const path = paths[pathIndices[i]];
+    pathIndices[i] = distinctPaths.indexOf(path);
+    if (flows) flows.push(new FlowState(flowField, path, scatterRadius, random));
+  }
+
+  return SIMULATIONS[particleType].create(distinctPaths, {
+    ...config,
+    randomOffset,
+    scatterRadius,
+    randomState: generatorState,
+    pathIndices,
+    flows,
+  });
+}
@@ -0,0 +1,32 @@
+// Viviani's curve: the figure-8 where a sphere meets a cylinder through its center
+import * as THREE from 'three';
+import { registerCurve } from './curveRegistry.js';
+
+export function createVivianiCurvePoints(a = 2, numPoints = 200) {
+  const points = [];
+  const tMax = 4 * Math.PI;
+  for (let i = 0; i <= numPoints; i++) {
+    const t = (i / numPoints) * tMax;
+    const x = a * (1 + Math.cos(t));
+    const y = a * Math.sin(t);
+    const z = 2 * a * Math.sin(t / 2);
+    points.push(new THREE.Vector3(x, y, z));
+  }
+  return points;
+}
+
+export function registerVivianiCurve() {
+  registerCurve('viviani', {
+    label: 'Viviani Curve',
+    closed: true,
+    parameters: {
+      a: { value: 15, min: 1, max: 20, step: 0.1, label: 'Curve Scale (a)' },
+    },
+    generate: values => createVivianiCurvePoints(values.a, 256),
+    // Side view of the figure-8
+    framing: values => ({
+      target: new THREE.Vector3(values.a, 0, 0),
+      position: new THREE.Vector3(90, 0, 1),
+    }),
+  });
+}
@@ -0,0 +1,337 @@
+// Depth of field for the EffectComposer chain. Light away from the focus distance
+// spreads into soft discs, as it would through a real lens opened up.
+//
+// The particles are transparent light with no depth of their own, so the pass renders
+// the scene once more with each material's fragment shader turned into a depth writer:
+// every fragment adds its view depth times its alpha, and its alpha, so each pixel ends
+// up with the light-weighted average depth of what was drawn there. That gives every
+// pixel a circle of confusion (blur radius in pixels) from the aperture and focus.
+//
+// The blur scatters instead of gathering, so a bright point grows into an even orb
+// rather than a speckled one: the light goes down a chain of levels, each half the size
+// of the one before and blurred by one of its own texels, so each blurs twice as wide.
+// Every pixel's light leaves the chain at the level whose blur matches its circle of
+// confusion (split between the two nearest), and the levels are added back up at the
+// end. Colors are straight alpha in and out, so transparent backgrounds stay transparent.
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+const LEVELS = 5;
+// Circle of confusion each level stands for, in pixels; level 0 is the sharp image, and
+// light beyond the last level's radius is clamped to it
+const LEVEL_RADII = [0, 4, 8, 16, 32, 64];
+const MAX_RADIUS = LEVEL_RADII[LEVELS];
+
+const QUAD_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const DOF_HEADER = `
+  uniform float uCocScale; // Circle of confusion at infinite distance, in pixels
+  uniform float uFocus;    // View depth in focus
+  varying vec2 vUv;
+
+  // Light as premultiplied color (the input image is straight alpha)
+  vec4 readLight(sampler2D map, vec2 uv, float straight) {
+    vec4 texel = texture2D(map, uv);
+    return straight > 0.5 ? vec4(texel.rgb * texel.a, texel.a) : texel;
+  }
+
+  // Circle of confusion from a level's (coc * weight, weight) or, from the depth render,
+  // (depth * weight, weight)
+  float readCoc(sampler2D map, vec2 uv, float fromDepth) {
+    vec4 texel = texture2D(map, uv);
+    if (texel.y <= 0.0) return 0.0;
+    float value = texel.x / texel.y;
+    if (fromDepth < 0.5) return value;
+    return min(${MAX_RADIUS.toFixed(1)}, uCocScale * abs(1.0 - uFocus / max(value, 1e-3)));
+  }
+
+  // Share of light with this circle of confusion that goes further down the chain than
+  // a level standing for range.x, where range.y is the next level's
+  float passedOn(float coc, vec2 range) {
+    return clamp((coc - range.x) / (range.y - range.x), 0.0, 1.0);
+  }
+`;
+
+// Half size: each texel averages the 2x2 texels of the level above it, keeping only the
+// light that is passed on to this level (or the circles of confusion of that light)
+const DOWNSAMPLE_FRAGMENT_SHADER = `
+  uniform sampler2D tLight;
+  uniform sampler2D tCoc;
+  uniform vec2 uTexel;       // Texel size of the level above
+  uniform vec2 uRange;
+  uniform float uFromInput;  // 1.0: the level above is the input image and depth render
+  uniform float uCocOutput;  // 1.0: write (coc * weight, weight) instead of the light
+  ${DOF_HEADER}
+
+  void main() {
+    vec4 sum = vec4(0.0);
+    for (int i = 0; i < 4; i++) {
+      vec2 corner = vec2(mod(float(i), 2.0), floor(float(i) / 2.0)) - 0.5;
+      vec2 uv = vUv + corner * uTexel;
+      float coc = readCoc(tCoc, uv, uFromInput);
+      vec4 light = readLight(tLight, uv, uFromInput) * passedOn(coc, uRange);
+      sum += uCocOutput > 0.5 ? vec4(coc * light.a, light.a, 0.0, 0.0) : light;
+    }
+    gl_FragColor = sum * 0.25;
+  }
+`;
+
+// Gaussian blur one texel wide, in one direction. The first direction keeps only the
+// light that stops at this level.
+const BLUR_FRAGMENT_SHADER = `
+  uniform sampler2D tLight;
+  uniform sampler2D tCoc;
+  uniform vec2 uDirection;  // One texel along the blur
+  uniform vec2 uRange;
+  uniform float uDeposit;   // 1.0: blur only the light that stops at this level
+  ${DOF_HEADER}
+
+  void main() {
+    vec4 sum = vec4(0.0);
+    float total = 0.0;
+    for (int i = -4; i <= 4; i++) {
+      float weight = exp(-0.5 * float(i * i));
+      vec2 uv = vUv + uDirection * float(i);
+      vec4 light = texture2D(tLight, uv);
+      if (uDeposit > 0.5) light *= 1.0 - passedOn(readCoc(tCoc, uv, 0.0), uRange);
+      sum += light * weight;
+      total += weight;
+    }
+    gl_FragColor = sum / total;
+  }
+`;
+
+const levelSamplers = Array.from({ length: LEVELS }, (_, i) => `uniform sampler2D tLevel${i + 1};`).join('\n');
+const levelSum = Array.from({ length: LEVELS }, (_, i) => `light += texture2D(tLevel${i + 1}, vUv);`).join('\n');
+
+// The sharp light that stays at full size, plus every level's blurred light
+const COMPOSITE_FRAGMENT_SHADER = `
+  uniform sampler2D tInput;
+  uniform sampler2D tDepth;
+  uniform vec2 uRange;
+  ${levelSamplers}
+  ${DOF_HEADER}
+
+  void main() {
+    vec4 light = readLight(tInput, vUv, 1.0) * (1.0 - passedOn(readCoc(tDepth, vUv, 1.0), uRange));
+    ${levelSum}
+    float alpha = min(light.a, 1.0);
+    gl_FragColor = vec4(alpha > 0.0 ? light.rgb / alpha : vec3(0.0), alpha);
+  }
+`;
+
+// Replaces a material's main(): runs it, then writes the light-weighted depth
+const DEPTH_MAIN = `
+  void main() {
+    lightMain();
+    float weight = gl_FragColor.a;
+    // 1 / w of a perspective projection is the view depth
+    gl_FragColor = vec4(weight / gl_FragCoord.w, weight, 0.0, 0.0);
+  }
+`;
+
+// Depth-writing copies of the scene's shader materials, made on first use (see DEPTH_MAIN)
+const depthMaterials = new WeakMap();
+
+function getDepthMaterial(material) {
+  let depthMaterial = depthMaterials.get(material);
+  if (depthMaterial && depthMaterial.userData.fragmentShader === material.fragmentShader) {
+    return depthMaterial;
+  }
+  if (depthMaterial) depthMaterial.dispose();
+  else material.addEventListener('dispose', () => depthMaterials.get(material).dispose());
+
+  depthMaterial = new THREE.ShaderMaterial({
+    uniforms: material.uniforms, // Shared, so changes to the original's uniforms carry over
+    defines: material.defines,
+    vertexShader: material.vertexShader,
+    fragmentShader: material.fragmentShader.replace(/void\s+main\s*\(\s*(void)?\s*\)/, 'void lightMain()') + DEPTH_MAIN,
+    side: material.side,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    // Plain sums of depth and weight
+    blending: THREE.CustomBlending,
+    blendEquation: THREE.AddEquation,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneFactor,
+    blendSrcAlpha: THREE.OneFactor,
+    blendDstAlpha: THREE.OneFactor,
+  });
+  depthMaterial.userData.fragmentShader = material.fragmentShader;
+  depthMaterials.set(material, depthMaterial);
+  return depthMaterial;
+}
+
+function createQuadMaterial(fragmentShader, uniforms) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uCocScale: { value: 0 },
+      uFocus: { value: 1 },
+      ...uniforms,
+    },
+    vertexShader: QUAD_VERTEX_SHADER,
+    fragmentShader,
+    blending: THREE.NoBlending,
+    depthTest: false,
+    depthWrite: false,
+  });
+}
+
+export class DepthOfFieldPass extends Pass {
+  // aperture: circle of confusion at infinite distance, in percent of the image height
+  constructor(scene, camera, { aperture = 1, focusDistance = 50 } = {}) {
+    super();
+    this.scene = scene;
+    this.camera = camera;
+    this.aperture = aperture;
+    this.focusDistance = focusDistance; // View depth in focus, in scene units
+    // Height of the whole image in pixels, while rendering part of a larger one; the
+    // blur is measured against it
+    this.imageHeight = null;
+
+    const options = { type: THREE.HalfFloatType, depthBuffer: false };
+    this.depth = new THREE.WebGLRenderTarget(1, 1, options);
+    this.levels = Array.from({ length: LEVELS }, () => ({
+      light: new THREE.WebGLRenderTarget(1, 1, options),
+      coc: new THREE.WebGLRenderTarget(1, 1, options),
+      blurTemp: new THREE.WebGLRenderTarget(1, 1, options),
+      blurred: new THREE.WebGLRenderTarget(1, 1, options),
+    }));
+
+    this.downsampleMaterial = createQuadMaterial(DOWNSAMPLE_FRAGMENT_SHADER, {
+      tLight: { value: null },
+      tCoc: { value: null },
+      uTexel: { value: new THREE.Vector2() },
+      uRange: { value: new THREE.Vector2() },
+      uFromInput: { value: 0 },
+      uCocOutput: { value: 0 },
+    });
+    this.blurMaterial = createQuadMaterial(BLUR_FRAGMENT_SHADER, {
+      tLight: { value: null },
+      tCoc: { value: null },
+      uDirection: { value: new THREE.Vector2() },
+      uRange: { value: new THREE.Vector2() },
+      uDeposit: { value: 0 },
+    });
+    const levelUniforms = Object.fromEntries(this.levels.map((level, i) => [`tLevel${i + 1}`, { value: level.blurred.texture }]));
+    this.compositeMaterial = createQuadMaterial(COMPOSITE_FRAGMENT_SHADER, {
+      tInput: { value: null },
+      tDepth: { value: this.depth.texture },
+      uRange: { value: new THREE.Vector2(LEVEL_RADII[0], LEVEL_RADII[1]) },
+      ...levelUniforms,
+    });
+    this.fsQuad = new FullScreenQuad(null);
+    this.clearColor = new THREE.Color();
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    const clearColor = renderer.getClearColor(this.clearColor);
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 0);
+    this.renderDepth(renderer);
+
+    const cocScale = this.aperture * 0.01 * (this.imageHeight || readBuffer.height);
+    [this.downsampleMaterial, this.blurMaterial, this.compositeMaterial].forEach(material => {
+      material.uniforms.uCocScale.value = cocScale;
+      material.uniforms.uFocus.value = this.focusDistance;
+    });
+
+    // Down the chain: each level takes the light passed on from the one above
+    let above = { light: readBuffer, coc: this.depth };
+    this.levels.forEach((level, i) => {
+      const uniforms = this.downsampleMaterial.uniforms;
+      uniforms.tLight.value = above.light.texture;
+      uniforms.tCoc.value = above.coc.texture;
+      uniforms.uTexel.value.set(1 / above.light.width, 1 / above.light.height);
+      uniforms.uRange.value.set(LEVEL_RADII[i], LEVEL_RADII[i + 1]);
+      uniforms.uFromInput.value = i === 0 ? 1 : 0;
+      uniforms.uCocOutput.value = 0;
+      this.renderQuad(renderer, this.downsampleMaterial, level.light);
+      uniforms.uCocOutput.value = 1;
+      this.renderQuad(renderer, this.downsampleMaterial, level.coc);
+      above = level;
+    });
+
+    // Blur the light that stops at each level
+    this.levels.forEach((level, i) => {
+      const uniforms = this.blurMaterial.uniforms;
+      uniforms.tLight.value = level.light.texture;
+      uniforms.tCoc.value = level.coc.texture;
+      uniforms.uDirection.value.set(1 / level.light.width, 0);
+      // The last level keeps everything that reaches it
+      uniforms.uRange.value.set(LEVEL_RADII[i + 1], i + 1 < LEVELS ? LEVEL_RADII[i + 2] : 1e9);
+      uniforms.uDeposit.value = 1;
+      this.renderQuad(renderer, this.blurMaterial, level.blurTemp);
+      uniforms.tLight.value = level.blurTemp.texture;
+      uniforms.uDirection.value.set(0, 1 / level.light.height);
+      uniforms.uDeposit.value = 0;
+      this.renderQuad(renderer, this.blurMaterial, level.blurred);
+    });
+
+    this.compositeMaterial.uniforms.tInput.value = readBuffer.texture;
+    this.renderQuad(renderer, this.compositeMaterial, this.renderToScreen ? null : writeBuffer);
+    renderer.setClearColor(clearColor, clearAlpha);
+  }
+
+  renderQuad(renderer, material, target) {
+    this.fsQuad.material = material;
+    renderer.setRenderTarget(target);
+    this.fsQuad.render(renderer);
+  }
+
+  // Render the scene's light-weighted depth into this.depth. Objects without a shader
+  // material to convert are left out.
+  renderDepth(renderer) {
+    const swapped = [];
+    const hidden = [];
+    this.scene.traverseVisible(object => {
+      if (!object.isMesh && !object.isPoints && !object.isLine) return;
+      if (object.material && object.material.isShaderMaterial) swapped.push([object, object.material]);
+      else hidden.push(object);
+    });
+    swapped.forEach(([object, material]) => {
+      object.material = getDepthMaterial(material);
+    });
+    hidden.forEach(object => {
+      object.visible = false;
+    });
+
+    renderer.setRenderTarget(this.depth);
+    renderer.clear();
+    renderer.render(this.scene, this.camera);
+
+    swapped.forEach(([object, material]) => {
+      object.material = material;
+    });
+    hidden.forEach(object => {
+      object.visible = true;
+    });
+  }
+
+  setSize(width, height) {
+    this.depth.setSize(width, height);
+    this.levels.forEach((level, i) => {
+      const scale = 2 ** (i + 1);
+      const levelWidth = Math.max(1, Math.round(width / scale));
+      const levelHeight = Math.max(1, Math.round(height / scale));
+      Object.values(level).forEach(target => target.setSize(levelWidth, levelHeight));
+    });
+  }
+
+  dispose() {
+    this.depth.dispose();
+    this.levels.forEach(level => Object.values(level).forEach(target => target.dispose()));
+    this.downsampleMaterial.dispose();
+    this.blurMaterial.dispose();
+    this.compositeMaterial.dispose();
+    this.fsQuad.dispose();
+  }
+}
@@ -0,0 +1,324 @@
+// Image silhouette curve: traces the outline of a figure in an image (e.g.
+// assets/handstand.png) so the particles stream around its contour
+//
+// The image is thresholded into a foreground mask, marching squares extracts the
+// mask's contours, Ramer-Douglas-Peucker simplifies them and each one becomes a
+// closed loop in the xy plane with an optional sinusoidal depth wobble.
+import * as THREE from 'three';
+import { registerCurve, notifyCurveChanged } from './core/curveRegistry.js';
+import { fitOutlinesToView, outlineFraming } from './core/outlines.js';
+
+const THRESHOLD_MODES = ['background', 'luminance', 'alpha'];
+
+// Decoded images keyed by source and resolution, so tweaking the trace doesn't reload them
+const imageCache = new Map();
+
+// Object URL of the last image picked from disk, released when another one replaces it
+let pickedImageURL = null;
+
+// Load an image and read its pixels, scaled down so its longest side is at most `resolution`
+function loadImageData(source, resolution) {
+  const key = `${source}|${resolution}`;
+  if (!imageCache.has(key)) {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = source;
+    const loading = image.decode().then(() => {
+      const scale = Math.min(1, resolution / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      return context.getImageData(0, 0, canvas.width, canvas.height);
+    }, () => {
+      imageCache.delete(key); // Let a later attempt try again
+      throw new Error(`Could not load image "${source}"`);
+    });
+    imageCache.set(key, loading);
+  }
+  return imageCache.get(key);
+}
+
+// Median colour of the image border, taken as the background colour to key out.
+// The median ignores a figure that touches the edges of the frame.
+function borderColor({ data, width, height }) {
+  const channels = [[], [], []];
+  const sample = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < 128) return; // Transparent pixels say nothing about the backdrop
+    channels[0].push(data[i]);
+    channels[1].push(data[i + 1]);
+    channels[2].push(data[i + 2]);
+  };
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+  return channels.map(values => {
+    values.sort((a, b) => a - b);
+    return values.length > 0 ? values[values.length >> 1] : 0;
+  });
+}
+
+// Luma and the two colour differences. Compared to RGB this separates a figure from a
+// backdrop of similar brightness but different hue (e.g. purple on blue) much better.
+function toYCbCr(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  return [y, (b - y) * 0.564, (r - y) * 0.713];
+}
+
+// Foreground mask (1 = figure) of an image. Each pixel gets a 0-1 measure - distance
+// from the background colour, luminance or opacity - which is box-blurred to calm
+// noisy edges and compared against the threshold.
+function createMask(imageData, { mode, threshold, invert }) {
+  const { data, width, height } = imageData;
+  const measure = new Float32Array(width * height);
+  const key = mode === 'background' ? toYCbCr(...borderColor(imageData)) : null;
+
+  for (let i = 0; i < width * height; i++) {
+    const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2], a = data[i * 4 + 3];
+    if (mode === 'alpha') {
+      measure[i] = a / 255;
+    } else if (a < 128) {
+      measure[i] = 0; // Transparent pixels are background
+    } else if (mode === 'luminance') {
+      measure[i] = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    } else {
+      const [y, cb, cr] = toYCbCr(r, g, b);
+      measure[i] = Math.hypot(y - key[0], cb - key[1], cr - key[2]) / 255;
+    }
+  }
+
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const sx = x + dx, sy = y + dy;
+          if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+          sum += measure[sy * width + sx];
+          count++;
+        }
+      }
+      mask[y * width + x] = (sum / count > threshold) !== invert ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+// Marching squares over the mask. The mask is treated as padded with background, so a
+// figure cut off by the frame still yields closed contours. Returns one loop of [x, y]
+// pixel coordinates per contour.
+function traceContours(mask, width, height) {
+  const stride = width + 2;
+  // Crossing points sit on the edges between neighbouring pixel centres. Edge ids
+  // encode the grid position (offset by one for the padding) and the orientation.
+  const horizontal = (x, y) => ((y + 1) * stride + (x + 1)) * 2;
+  const vertical = (x, y) => ((y + 1) * stride + (x + 1)) * 2 + 1;
+  const edgePoint = id => {
+    const cell = id >> 1;
+    const x = (cell % stride) - 1;
+    const y = Math.floor(cell / stride) - 1;
+    return id & 1 ? [x, y + 0.5] : [x + 0.5, y];
+  };
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+
+  // Every crossing point joins exactly two segments, so contours are found by
+  // following each point's two neighbours
+  const edgeCount = stride * (height + 2) * 2;
+  const neighbours = new Int32Array(edgeCount * 2).fill(-1);
+  const connect = (a, b) => {
+    neighbours[a * 2 + (neighbours[a * 2] === -1 ? 0 : 1)] = b;
+    neighbours[b * 2 + (neighbours[b * 2] === -1 ? 0 : 1)] = a;
+  };
+
+  for (let y = -1; y < height; y++) {
+    for (let x = -1; x < width; x++) {
+      const a = inside(x, y), b = inside(x + 1, y), c = inside(x + 1, y + 1), d = inside(x, y + 1);
+      const top = horizontal(x, y), right = vertical(x + 1, y);
+      const bottom = horizontal(x, y + 1), left = vertical(x, y);
+      if (a === c && b === d && a !== b) {
+        // Saddle: keep diagonal foreground pixels connected
+        if (a) {
+          connect(top, right);
+          connect(bottom, left);
+        } else {
+          connect(top, left);
+          connect(right, bottom);
+        }
+        continue;
+      }
+      const crossings = [];
+      if (a !== b) crossings.push(top);
+      if (b !== c) crossings.push(right);
+      if (c !== d) crossings.push(bottom);
+      if (d !== a) crossings.push(left);
+      if (crossings.length === 2) connect(crossings[0], crossings[1]);
+    }
+  }
+
+  const visited = new Uint8Array(edgeCount);
+  const loops = [];
+  for (let start = 0; start < edgeCount; start++) {
+    if (visited[start] || neighbours[start * 2] === -1) continue;
+    const loop = [];
+    let edge = start;
+    while (edge !== -1) {
+      visited[edge] = 1;
+      loop.push(edgePoint(edge));
+      const [first, second] = [neighbours[edge * 2], neighbours[edge * 2 + 1]];
+      edge = !visited[first] ? first : (!visited[second] ? second : -1);
+    }
+    loops.push(loop);
+  }
+  return loops;
+}
+
+// Shoelace area of a closed loop of [x, y] points (sign depends on winding)
+function loopArea(loop) {
+  let area = 0;
+  for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+    area += (loop[j][0] - loop[i][0]) * (loop[j][1] + loop[i][1]);
+  }
+  return area / 2;
+}
+
+// Ramer-Douglas-Peucker on an open polyline: keep only the points that stray further
+// than `tolerance` from the simplified line
+function simplifyPolyline(points, tolerance) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const [ax, ay] = points[first];
+    const [bx, by] = points[last];
+    const length = Math.hypot(bx - ax, by - ay);
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = points[i];
+      const distance = length > 0
+        ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length
+        : Math.hypot(px - ax, py - ay);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((point, i) => keep[i]);
+}
+
+// Simplify a closed loop by splitting it at the point farthest from its start
+function simplifyLoop(loop, tolerance) {
+  if (tolerance <= 0 || loop.length < 4) return loop;
+  const [sx, sy] = loop[0];
+  let split = 0;
+  let splitDistance = -1;
+  loop.forEach(([x, y], i) => {
+    const distance = Math.hypot(x - sx, y - sy);
+    if (distance > splitDistance) {
+      split = i;
+      splitDistance = distance;
+    }
+  });
+  const firstHalf = simplifyPolyline(loop.slice(0, split + 1), tolerance);
+  const secondHalf = simplifyPolyline(loop.slice(split).concat([loop[0]]), tolerance);
+  return firstHalf.slice(0, -1).concat(secondHalf.slice(0, -1));
+}
+
+// Trace the contours of an image's silhouette. Returns loops of [x, y] pixel
+// coordinates, the outer contour (the largest one) first.
+export function traceImageContours(imageData, options) {
+  const { mode, threshold, invert, innerContours, minArea, simplify } = options;
+  const mask = createMask(imageData, { mode, threshold, invert });
+  const loops = traceContours(mask, imageData.width, imageData.height)
+    .map(loop => ({ loop, area: Math.abs(loopArea(loop)) }))
+    .sort((a, b) => b.area - a.area);
+  if (loops.length === 0) return [];
+
+  // Other contours (holes and separate shapes) must be big enough not to be noise
+  const kept = innerContours
+    ? loops.filter(({ area }, i) => i === 0 || area >= loops[0].area * minArea)
+    : loops.slice(0, 1);
+  return kept
+    .map(({ loop }) => simplifyLoop(loop, simplify))
+    .filter(loop => loop.length >= 3);
+}
+
+// Map pixel loops into the scene, adding a depth wobble of whole waves so each loop still closes
+function loopsToScene(loops, { size, wobble, wobbleWaves }) {
+  const outlines = fitOutlinesToView(loops.map(loop => loop.map(([x, y]) => ({ x, y }))), size);
+  return outlines.map(outline => {
+    // Wobble by distance travelled along the loop, so it is even however the loop was simplified
+    const distances = [0];
+    for (let i = 1; i <= outline.length; i++) {
+      distances.push(distances[i - 1] + outline[i - 1].distanceTo(outline[i % outline.length]));
+    }
+    const perimeter = distances[outline.length];
+    return outline.map((point, i) => new THREE.Vector3(
+      point.x,
+      point.y,
+      wobble * Math.sin((distances[i] / perimeter) * wobbleWaves * Math.PI * 2)
+    ));
+  });
+}
+
+// Let the user pick an image file to trace instead of the bundled one
+function pickImageFile(values) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*';
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (!file) return;
+    if (pickedImageURL) URL.revokeObjectURL(pickedImageURL);
+    pickedImageURL = URL.createObjectURL(file);
+    values.source = pickedImageURL;
+    notifyCurveChanged('image');
+  });
+  input.click();
+}
+
+export function registerImageCurve() {
+  registerCurve('image', {
+    label: 'Image Silhouette',
+    closed: true,
+    shareParticlesByLength: true,
+    parameters: {
+      source: { value: 'assets/handstand.png', label: 'Image URL' },
+      loadFile: { value: pickImageFile, label: 'Load Image File…' },
+      mode: { value: 'background', options: THRESHOLD_MODES, label: 'Threshold Mode' },
+      threshold: { value: 0.1, min: 0, max: 1, step: 0.01, label: 'Threshold' },
+      invert: { value: false, label: 'Invert Mask' },
+      resolution: { value: 300, min: 100, max: 800, step: 50, label: 'Trace Resolution' },
+      simplify: { value: 1, min: 0, max: 5, step: 0.1, label: 'Simplify (px)' },
+      innerContours: { value: false, label: 'Inner Contours' },
+      minArea: { value: 0.02, min: 0, max: 0.5, step: 0.005, label: 'Min Contour Area' },
+      size: { value: 36, min: 5, max: 60, step: 0.5, label: 'Size' },
+      wobble: { value: 1.5, min: 0, max: 10, step: 0.1, label: 'Depth Wobble' },
+      wobbleWaves: { value: 5, min: 1, max: 20, step: 1, label: 'Wobble Waves' },
+    },
+    // Resolves once the image has loaded, with one point list per contour
+    generate: values => loadImageData(values.source, values.resolution).then(imageData => {
+      const loops = traceImageContours(imageData, values);
+      if (loops.length === 0) {
+        throw new Error('No silhouette found in the image. Try another threshold or mode.');
+      }
+      return loopsToScene(loops, values);
+    }),
+    framing: values => outlineFraming(values.size),
+  });
+}
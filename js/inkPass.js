@@ -0,0 +1,79 @@
+// Light theme resolve for the EffectComposer chain. On a bright background the particles
+// are ink rather than light: each one still draws additively, but what it adds is the
+// light its ink takes away (the complement of the ink color), so depth of field, long
+// exposures and bloom all work on it as they do on light. Bloom becomes a soft shadow
+// around the ink. This pass then takes that light away from the background, where
+// overlapping ink darkens subtractively down to black.
+//
+// The result is straight alpha, with only as much cover as the ink needs, so it still
+// shows the page background through wherever there is no ink. An opaque background (for
+// exports) is painted in under it.
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+const QUAD_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const INK_FRAGMENT_SHADER = `
+  uniform sampler2D tDiffuse;
+  uniform vec3 uBackground;
+  uniform float uBackgroundAlpha;
+  varying vec2 vUv;
+
+  void main() {
+    vec4 texel = texture2D(tDiffuse, vUv);
+    // The light the ink takes away, as much as it would show on black
+    vec3 absorbed = clamp(texel.rgb * texel.a, 0.0, 1.0);
+    // The background with the ink on it is uBackground * (1.0 - absorbed). Over the
+    // background, color with the cover of the most absorbed channel gives just that.
+    float cover = max(absorbed.r, max(absorbed.g, absorbed.b));
+    float alpha = cover + uBackgroundAlpha * (1.0 - cover);
+    vec3 color = uBackground * (cover - absorbed + uBackgroundAlpha * (1.0 - cover));
+    gl_FragColor = vec4(alpha > 0.0 ? color / alpha : vec3(0.0), alpha);
+  }
+`;
+
+export class InkPass extends Pass {
+  constructor() {
+    super();
+    // The color the ink goes on: the page background, or the one painted in
+    this.background = new THREE.Color(0xffffff);
+    this.backgroundAlpha = 0; // 1 paints the background in under the ink
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tDiffuse: { value: null },
+        uBackground: { value: new THREE.Color() },
+        uBackgroundAlpha: { value: 0 },
+      },
+      vertexShader: QUAD_VERTEX_SHADER,
+      fragmentShader: INK_FRAGMENT_SHADER,
+      blending: THREE.NoBlending,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.fsQuad = new FullScreenQuad(this.material);
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    const uniforms = this.material.uniforms;
+    uniforms.tDiffuse.value = readBuffer.texture;
+    // The shaders' output isn't converted for display, so the background has to be given
+    // as it is shown on the page
+    uniforms.uBackground.value.copy(this.background).convertLinearToSRGB();
+    uniforms.uBackgroundAlpha.value = this.backgroundAlpha;
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    this.fsQuad.render(renderer);
+  }
+
+  dispose() {
+    this.material.dispose();
+    this.fsQuad.dispose();
+  }
+}
@@ -3,45 +3,183 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { GUI } from 'lil-gui';
-
-let scene, camera, renderer, controls, composer, bloomPass;
-let curvePath;
+import { getCurve, getCurveTypes, getDefaultCurveValues, onCurveRegistered, onCurveChanged } from './core/curveRegistry.js';
+import { registerVivianiCurve } from './core/vivianiCurve.js';
+import { registerJugglingCurve } from './core/jugglingCurve.js';
+import { registerAttractorCurves } from './core/attractors.js';
+import { registerCustomCurve } from './core/customCurve.js';
+import { registerKnotCurves } from './core/knots.js';
+import { registerImageCurve } from './imageCurve.js';
+import { registerSVGCurve } from './svgCurve.js';
+import { registerTextCurve } from './textCurve.js';
+import { registerPointPathCurve } from './pointPathCurve.js';
+import { TrailRibbons, RIBBON_FRAGMENT_HEADER } from './trailRibbons.js';
+import { CurveSampler } from './core/curveSampler.js';
+import { createSimulation } from './core/simulation.js';
+import { benchmarkSampling } from './core/samplingBenchmark.js';
+import { createRandom, randomState, randomSeed } from './core/random.js';
+import { SimulationRunner } from './simulationRunner.js';
+import { WebMRecorder, PNGSequenceRecorder, downloadBlob, canvasToBlob } from './capture.js';
+import { AccumulationPass } from './accumulationPass.js';
+import { DepthOfFieldPass } from './depthOfFieldPass.js';
+import { InkPass } from './inkPass.js';
+import { SelectiveBloomPass, BLOOM_LAYER } from './selectiveBloomPass.js';
+import { PostEffectStack, registerBuiltinPostEffects, getPostEffect, getPostEffectTypes } from './postEffects.js';
+import { settingsToJSON, parseSettings, mergeSettings, pickSettingsFile } from './sceneSettings.js';
+
+let scene, camera, renderer, controls, composer, renderPass, depthOfFieldPass, accumulationPass, bloomPass, inkPass;
+let postEffects; // PostEffectStack of the user's effects after bloom
+let curvePaths = []; // One CurveSampler per path; most curve types produce a single path
+let curvePathLengths = null; // Path lengths when particles are shared out by length, else null
+let curveFlowField = null; // Vector field the particles follow in flow-field mode
+let curveRequest = 0; // Bumped on every rebuild so late asynchronous curves know they are stale
+let savedView = null; // Camera view from loaded settings, used instead of the curve's framing once
 let gui;
+let guiListenerRemovers = []; // Unsubscribe the GUI's registry listeners when it is rebuilt
+let postEffectsFolder, postEffectFolders = [];
+const settingsFile = { status: '' }; // Outcome of the last settings save or load, shown in the GUI
+let settingsFolder;
 let singleColorController;
+let curveOptionsFolder, curveTypeController, flowFieldFolder, seedController;
+const curveFolders = {};
+const curveWarnings = {};
 const paletteControllers = {}; 
 
 // Particle system manager
 let particleSystem;
 
+// Default background of each theme
+const THEME_BACKGROUNDS = { dark: '#000000', light: '#ffffff' };
+
+// Most particles per type. Each type draws in one or two draw calls, but comet tails are
+// resampled along the curve every step and every spark emitter keeps dozens of sparks
+// alive, so those cost more per particle.
+const MAX_PARTICLES = { glow: 50000, weldingSpark: 500, comet: 2000 };
+
+// Simulation time is counted in frames at this rate, the rate the speed settings were
+// tuned at, so the particles move at the same speed on any display
+const REFERENCE_FPS = 60;
+// Longest frame to simulate in one step, so particles don't leap after a stall or a
+// hidden tab
+const MAX_FRAME_SECONDS = 0.1;
+let lastFrameTime = null; // Timestamp of the last animation frame, in milliseconds
+let pendingSteps = 0; // Single steps requested while paused
+let playbackFolder;
+
+// Offline capture in progress (see captureAnimation)
+const capture = { active: false, cancelled: false, progress: 'Idle' };
+let captureFolder;
+
+// High-resolution still export in progress (see exportStill)
+const stillExport = { active: false, progress: 'Idle' };
+let exportFolder;
+// Stills are rendered in tiles of this many pixels square, each with a margin around it
+// so bloom near a tile's edge sees the light from its neighbours (see exportBloomMargin).
+// Both are multiples of 32, so the bloom's downsampled layers line up across tiles.
+const EXPORT_TILE_SIZE = 1024;
+
+// Canvas size in CSS pixels, for ribbon trail widths given in pixels
+const canvasSize = new THREE.Vector2();
+// Scratch vectors for updateFocus
+const focusPoint = new THREE.Vector3();
+const viewDirection = new THREE.Vector3();
+
+// In the light theme the particles still draw additively, but as the light their ink
+// takes away from the background, which the ink pass then subtracts. Turn a particle
+// color into a darker, more saturated ink and that ink's complement.
+const inkHSL = {};
+const inkRGB = {};
+function toInkAbsorption(color) {
+  const { shade, saturation } = params.lightTheme;
+  color.getHSL(inkHSL);
+  color.setHSL(inkHSL.h, Math.min(1, inkHSL.s * saturation), inkHSL.l * shade);
+  // The ink pass takes the complement away from the background as shown on the page
+  // (sRGB), and the shaders hand colors to it unconverted: take the complement in sRGB
+  // and store it as it is, so the ink prints in its own color
+  color.getRGB(inkRGB, THREE.SRGBColorSpace);
+  return color.setRGB(1 - inkRGB.r, 1 - inkRGB.g, 1 - inkRGB.b, THREE.LinearSRGBColorSpace);
+}
+
+// Draw from a new (or newly filled) array, uploading it on the next render
+function setAttributeArray(attribute, array) {
+  attribute.array = array;
+  attribute.needsUpdate = true;
+}
+
+// Style a particle system's ribbon trails with the shared trail params and its own width
+function applyTrailStyle(ribbons, width) {
+  ribbons.setStyle({
+    width,
+    widthUnits: params.trails.widthUnits,
+    taper: params.trails.taper,
+    softness: params.trails.softness,
+  });
+}
+
+// Scene units covered by one canvas pixel at the orbit target's distance, for converting
+// trail widths between pixel and world units
+function worldUnitsPerPixel() {
+  const distance = camera.position.distanceTo(controls.target);
+  const viewHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+  return viewHeight / renderer.getSize(canvasSize).y;
+}
+
 const params = {
   // System params
   particleType: 'glow', // 'glow', 'weldingSpark', or 'comet'
-  curveType: 'lorenz', // 'viviani', 'lorenz', or 'juggling'
+  curveType: 'lorenz', // Any type in the curve registry ('viviani', 'lorenz', 'juggling', 'rossler', ...)
+  // Seed for all randomness: the same seed gives the same animation (kept in the URL)
+  seed: seedFromURL() ?? randomSeed(),
   // Common params for all particle types
   numParticles: 500,
   particleScatterRadius: 0.4,
-  vivianiA: 15,
-  // Lorenz Attractor params
-  lorenz: {
-    sigma: 5,
-    rho: 20.9, 
-    beta: 2.7,
-    scale: 1.1,
-    timeStep: 0.012,
-    numPoints: 2600,
+  // Per-curve parameter values keyed by curve type, filled from the curve registry
+  curves: {},
+  // Flow-field mode: each particle integrates its own state through the curve's
+  // vector field every frame (only curves with a vector field, i.e. attractors)
+  flowField: {
+    enabled: false,
+    speed: 1.0, // Multiplier on the curve's time step per frame
+  },
+  // Offline video or PNG sequence capture
+  capture: {
+    format: 'webm',   // 'webm' (MediaRecorder) or 'png' (PNG sequence in a ZIP)
+    width: 1920,
+    height: 1080,
+    fps: 60,
+    duration: 10,     // Seconds
+    alpha: false,     // Keep the background transparent instead of painting it in
+    restart: true,    // Start from the seed again, so the same settings give the same file
+  },
+  // Long exposure: each frame adds to a fading copy of the ones before (composer only)
+  accumulation: {
+    enabled: false,
+    mode: 'lighten',  // 'lighten' keeps each pixel's brightest light, 'additive' sums it
+    decay: 0.9,       // Share of the exposure left after one frame at 60 fps
+    paint: false,     // Never fade, so the figure builds up until cleared
+  },
+  // Depth of field: light away from the focus blurs into soft orbs (composer only)
+  depthOfField: {
+    enabled: false,
+    aperture: 1,      // Blur of light far behind the focus, in percent of the image height
+    focusOffset: 0,   // Moves the focus nearer (negative) or further from the orbit target
+    autofocus: false, // Focus on one particle instead of the orbit target
+    particle: 0,      // Index of the particle to focus on
+  },
+  // Post effects after bloom, in order: { type, enabled, values } (see postEffects.js)
+  postEffects: [],
+  // High-resolution still export
+  export: {
+    width: 7680,
+    height: 4320,
+    alpha: true,      // Keep the background transparent for compositing
   },
-  // Juggling Pattern params (3-ball cascade)
-  juggling: {
-    balls: 4,             // Number of balls
-    throwHeight: 15,      // Height of throws
-    handSeparation: 3.9,  // Distance between hands
-    throwAngle: 0.41,     // Throw angle (radians from vertical)
-    gravity: 9.3,         // Gravity constant
-    scale: 1.1,           // Overall scale of the pattern
-    numPoints: 1500,      // Points per trajectory
-    pattern: '3',         // Siteswap pattern (3 = cascade)
+  // Playback of the simulation clock
+  time: {
+    scale: 1.0,      // Multiplier on how fast time passes
+    paused: false,   // Freeze the particles (Space); Step moves one frame on (.)
+    reverse: false,  // Play backwards (R)
   },
   // Lifecycle params
   lifecycle: {
@@ -54,13 +192,21 @@ const params = {
   // Theme & Background Params
   currentTheme: 'dark', // 'dark' or 'light'
   backgroundColor: '#000000',
+  // Light theme: the particles are ink on the background instead of light (see inkPass.js)
+  lightTheme: {
+    shade: 0.6,        // Lightness of the ink relative to the particle color
+    saturation: 1.3,   // Saturation of the ink relative to the particle color
+    haloStrength: 0.4, // Soft shadow around the ink, in place of bloom
+    haloRadius: 0.8,
+  },
   useDirectRendering: false, // Bypass composer for better transparency
+  useSimulationWorker: true, // Step the particles in a Web Worker when the browser allows
   // Glow particle specific params
   glow: {
     trailLength: 22,
     speedFactor: 0.0007,
     boldness: 1,
-    lineWidth: 2, // Controls the thickness of the glow lines
+    lineWidth: 2, // Width of the glow trails (see trails.widthUnits)
   },
   // Welding spark specific params
   weldingSpark: {
@@ -74,13 +220,19 @@ const params = {
   comet: {
     headSize: 1, // Size of the comet head
     tailLength: 20, // Length of the comet tail
-    tailWidth: 0.8, // Width/thickness of the tail
+    tailWidth: 2, // Width of the tail at the head (see trails.widthUnits)
     tailFade: 0.8, // How quickly the tail fades (lower = faster fade)
     glowIntensity: 0.45, // Brightness of the glow
     speedFactor: 0.0004, // Speed of comets
     colorMode: 'single', // 'rainbow', 'single', 'palette'
     cometColor: '#0054db', // Default cyan-blue color for comets
   },
+  // Ribbon trail params shared by glow and comet particles
+  trails: {
+    widthUnits: 'pixels', // 'pixels' (same on screen at any distance) or 'world' (scene units)
+    taper: 0.6, // How much narrower the tail end is than the head (0-1)
+    softness: 0.5, // How far in from the ribbon's sides the edges fade (0-1)
+  },
   // Color Params (currently used by glow particles)
   colorMode: 'palette',
   singleColorValue: '#ffffff',
@@ -101,13 +253,20 @@ const params = {
   darkBloomStrength: 2.5,
   darkBloomRadius: 0.5,
   darkBloomThreshold: 0.04,
+  // Selective bloom per particle type: strength relative to the bloom settings, and
+  // whether each of the type's parts glows (see ParticleSystem.bloomParts)
+  particleBloom: {
+    glow: { strength: 1, trails: true },
+    weldingSpark: { strength: 1, sparks: true },
+    comet: { strength: 1, heads: true, tails: true },
+  },
 };
 
 // ParticleSystem serves as the base class and manager for all particle types
 class ParticleSystem {
   constructor(type) {
     this.type = type;
-    this.particles = [];
+    this.runner = null; // Steps the particle simulation, in a worker when possible
   }
 
   // Factory method that creates the right ParticleSystem based on type
@@ -132,9 +291,12 @@ class ParticleSystem {
     this.createParticles();
   }
 
+  // Stop the simulation; subclasses also remove their meshes
   clear() {
-    this.particles.forEach(p => p.dispose());
-    this.particles.length = 0;
+    if (this.runner) {
+      this.runner.dispose();
+      this.runner = null;
+    }
   }
 
   createParticles() {
@@ -142,11 +304,27 @@ class ParticleSystem {
     console.warn('createParticles() not implemented');
   }
 
-  update() {
-    // To be implemented by subclasses
-    console.warn('update() not implemented');
+  // Step the simulation by dt frames and draw the result
+  update(dt) {
+    const outputs = this.stepSimulation(dt);
+    if (outputs) this.showOutputs(outputs);
+  }
+
+  // Step the simulation by exactly dt frames, waiting for the worker if there is one,
+  // for captures where every frame must be complete
+  async updateExactly(dt) {
+    if (!this.runner) return;
+    this.showOutputs(await this.runner.stepExactly(this.simulationSettings(dt)));
+  }
+
+  showOutputs(outputs) {
+    // To be implemented by subclasses: draw from a new set of simulation output arrays
+    console.warn('showOutputs() not implemented');
   }
 
+  // Set up anything that depends on the canvas size before rendering a frame
+  beforeRender() {}
+
   updateColors() {
     // To be implemented by subclasses
     console.warn('updateColors() not implemented');
@@ -157,166 +335,169 @@ class ParticleSystem {
     // To be implemented by subclasses
     console.warn('applyTheme() not implemented');
   }
+
+  // Apply params.trails to the ribbon trails (only glow and comet particles have them)
+  updateTrailStyle() {}
   
-  // Calculate lifecycle alpha modifier for particles
-  // Returns alpha multiplier (0-1) based on particle lifecycle stage
-  calculateLifecycleAlpha(particle) {
-    if (!params.lifecycle.enabled) return 1.0;
-    
-    // Extract lifecycle times from params
-    const fadeInTime = params.lifecycle.fadeInTime;
-    const stableTime = params.lifecycle.stableTime;
-    const fadeOutTime = params.lifecycle.fadeOutTime;
-    
-    // Total lifecycle duration
-    const totalDuration = fadeInTime + stableTime + fadeOutTime;
-    
-    // Calculate normalized lifecycle position (0-1)
-    const lifecyclePos = ((particle.lifecycleOffset + particle.currentT) % 1.0);
-    
-    // Calculate alpha based on lifecycle stage
-    let alpha = 1.0;
-    
-    if (lifecyclePos < fadeInTime) {
-      // Fade in stage
-      alpha = lifecyclePos / fadeInTime;
-    } else if (lifecyclePos >= fadeInTime + stableTime) {
-      // Fade out stage
-      const fadeOutPosition = (lifecyclePos - fadeInTime - stableTime) / fadeOutTime;
-      alpha = 1.0 - fadeOutPosition;
-    }
-    
-    // Ensure alpha is between 0 and 1
-    return Math.max(0, Math.min(1, alpha));
+  // The objects that can bloom separately, by the names params.particleBloom uses
+  bloomParts() {
+    return {};
+  }
+  
+  // Copy where particle index is now into target, for autofocus. Returns target, or
+  // null if there is no such particle.
+  particlePosition(index, target) {
+    return null;
+  }
+  
+  // Config for a simulation of this system's particles (see core/simulation.js) on the
+  // current curve, from params
+  simulationConfig(options = {}) {
+    return {
+      ...params[this.type],
+      ...options,
+      count: params.numParticles,
+      seed: params.seed,
+      pathLengths: curvePathLengths,
+      flowField: curveFlowField,
+      randomOffset: params.lifecycle.randomOffset,
+      scatterRadius: params.particleScatterRadius,
+    };
+  }
+  
+  // Create the simulation of this system's particles from the current curve and params,
+  // and start running it. Returns the arrays to draw from.
+  startSimulation(options) {
+    const simulation = createSimulation(this.type, curvePaths, this.simulationConfig(options));
+    this.runner = new SimulationRunner(this.type, simulation, { useWorker: params.useSimulationWorker });
+    return this.runner.current;
+  }
+
+  // Step the simulation by dt frames (see simulationDelta). Returns the arrays to draw
+  // from when they hold a new frame, or null if the worker hasn't finished one yet or
+  // no time passed.
+  stepSimulation(dt) {
+    if (!this.runner || dt === 0) return null;
+    return this.runner.step(this.simulationSettings(dt));
+  }
+
+  // A generator for picking particle colors. Each pass over the particles starts it
+  // afresh, so recoloring with the same seed picks the same colors.
+  colorRandom() {
+    return createRandom(randomState(params.seed, 'colors'));
+  }
+
+  // The settings each simulation step reads, for a step of dt frames
+  simulationSettings(dt = 1) {
+    return {
+      ...params[this.type],
+      scatterRadius: params.particleScatterRadius,
+      lifecycle: params.lifecycle,
+      flowSpeed: params.flowField.speed,
+      dt,
+    };
   }
 }
 
-// GlowParticleSystem implements the current line-based glow effect
+// GlowParticleSystem draws every glow trail as a ribbon in one draw call. The trails
+// share a single position buffer, and each particle's color and lifecycle alpha live
+// in vertex attributes (see TrailRibbons).
 class GlowParticleSystem extends ParticleSystem {
   constructor() {
     super('glow');
+    this.ribbons = null;
     
-    // Shader for the glow particles
-    this.vertexShader = `
-      attribute float trailAlphaMultiplier;
-      varying float vTrailAlphaMultiplier;
-      void main() {
-        vTrailAlphaMultiplier = trailAlphaMultiplier;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `;
-    
-    this.fragmentShader = `
-      varying float vTrailAlphaMultiplier;
-      uniform vec3 color;
+    // Shader for the glow ribbons: fade from head to tail and towards the edges
+    this.fragmentShader = RIBBON_FRAGMENT_HEADER + `
       uniform float uBoldness;
-      uniform float uLifecycleAlpha;
       void main() {
-        gl_FragColor = vec4(color, vTrailAlphaMultiplier * uBoldness * uLifecycleAlpha);
+        gl_FragColor = vec4(vColor, (1.0 - vTrail) * vLifecycle * uBoldness * ribbonEdge());
       }
     `;
   }
 
   createParticles() {
-    for (let i = 0; i < params.numParticles; i++) {
-      this.particles.push(new GlowParticle(curvePath, {
-        trailLength: params.glow.trailLength,
-        speedFactor: params.glow.speedFactor,
-        boldness: params.glow.boldness,
-        lineWidth: params.glow.lineWidth,
-        scatterRadius: params.particleScatterRadius,
-        vertexShader: this.vertexShader,
-        fragmentShader: this.fragmentShader
-      }));
+    const outputs = this.startSimulation({ trailLength: params.glow.trailLength });
+    this.ribbons = new TrailRibbons(params.numParticles, params.glow.trailLength, {
+      positions: outputs.trailPositions,
+      lifecycleAlphas: outputs.lifecycleAlphas,
+      fragmentShader: this.fragmentShader,
+      uniforms: { uBoldness: { value: params.glow.boldness } },
+    });
+    // Blending will be set by applyThemeSettings
+    this.updateTrailStyle();
+    scene.add(this.ribbons.mesh);
+  }
+
+  clear() {
+    super.clear();
+    if (this.ribbons) {
+      scene.remove(this.ribbons.mesh);
+      this.ribbons.dispose();
+      this.ribbons = null;
     }
   }
 
-  update() {
-    this.particles.forEach(p => {
-      // Update particle motion (which may set the justReset flag)
-      p.update();
-      
-      // Apply lifecycle alpha, with special handling for open curves
-      if (params.lifecycle.enabled) {
-        let finalAlpha = this.calculateLifecycleAlpha(p);
-
-        // For open curves, add fade-out/fade-in to hide the jump
-        if (!p.path.closed) {
-          const fadeOutTime = params.lifecycle.fadeOutTime;
-          const fadeInTime = params.lifecycle.fadeInTime;
-          const fadeOutStartT = 1.0 - fadeOutTime; // Start fading out in the last portion
-          
-          if (p.currentT > fadeOutStartT) {
-            // Fading out as it approaches the end
-            const fadeOutProgress = (p.currentT - fadeOutStartT) / fadeOutTime;
-            finalAlpha *= (1.0 - fadeOutProgress);
-
-          } else if (p.justReset && p.currentT < fadeInTime) {
-            // Fading in after a reset
-            const fadeInProgress = p.currentT / fadeInTime;
-            finalAlpha *= fadeInProgress;
-            
-            // If fade-in is complete, turn off the reset flag
-            if (fadeInProgress >= 1.0) {
-              p.justReset = false;
-            }
-          } else if (p.justReset) {
-            // It has been reset, but we are past the fade-in time
-            p.justReset = false;
-          }
-        }
-        
-        p.material.uniforms.uLifecycleAlpha.value = finalAlpha;
-      }
-    });
+  showOutputs(outputs) {
+    if (this.ribbons) this.ribbons.setArrays(outputs.trailPositions, outputs.lifecycleAlphas);
+  }
+
+  beforeRender() {
+    if (this.ribbons) this.ribbons.setResolution(renderer.getSize(canvasSize));
+  }
+
+  bloomParts() {
+    return { trails: this.ribbons && this.ribbons.mesh };
+  }
+
+  particlePosition(index, target) {
+    if (!this.ribbons || index >= this.ribbons.count) return null;
+    // The head of the particle's trail
+    return target.fromArray(this.ribbons.positions, index * this.ribbons.trailLength * 3);
   }
 
   updateColors() {
-    this.particles.forEach(p => this.setParticleColor(p));
+    if (!this.ribbons) return;
+    const color = new THREE.Color();
+    const random = this.colorRandom();
+    for (let i = 0; i < this.ribbons.count; i++) {
+      this.setParticleColor(color, random);
+      this.ribbons.setTrailColor(i, color);
+    }
   }
 
   updateBoldness() {
-    this.particles.forEach(p => {
-      if (p.material.uniforms.uBoldness) {
-        p.material.uniforms.uBoldness.value = params.glow.boldness;
-      }
-    });
+    if (this.ribbons) {
+      this.ribbons.material.uniforms.uBoldness.value = params.glow.boldness;
+    }
   }
 
   updateLineWidth() {
-    this.particles.forEach(p => {
-      if (p.mesh) {
-        p.mesh.material.linewidth = params.glow.lineWidth;
-      }
-    });
+    this.updateTrailStyle();
+  }
+
+  updateTrailStyle() {
+    if (this.ribbons) applyTrailStyle(this.ribbons, params.glow.lineWidth);
   }
 
   applyTheme(theme) {
-    if (theme === 'dark') {
-      this.particles.forEach(p => p.material.blending = THREE.AdditiveBlending);
-    } else { // light theme
-      this.particles.forEach(p => p.material.blending = THREE.NormalBlending);
+    if (this.ribbons) {
+      // Additive in both themes: light, or the light the ink takes away (see toInkAbsorption)
+      this.ribbons.material.blending = THREE.AdditiveBlending;
     }
     this.updateColors(); // Update colors based on theme
     this.updateBoldness();
     this.updateLineWidth(); // Update line width
   }
 
-  // Color setting logic for glow particles
-  setParticleColor(particle) {
-    if (params.currentTheme === 'light') {
-      // For light theme, force particles to a contrasting dark color for now
-      particle.material.uniforms.color.value.set(0x222222);
-      return;
-    }
-    
-    // Dark theme color logic
+  // Pick the color for one trail, drawing from random
+  setParticleColor(color, random) {
     switch (params.colorMode) {
       case 'rainbow':
-        particle.material.uniforms.color.value.setHSL(Math.random(), 0.7, 0.6);
+        color.setHSL(random(), 0.7, 0.6);
         break;
       case 'single':
-        particle.material.uniforms.color.value.set(params.singleColorValue);
+        color.set(params.singleColorValue);
         break;
       case 'palette':
         const activePalette = [];
@@ -326,152 +507,36 @@ class GlowParticleSystem extends ParticleSystem {
         if (params.paletteColor4Enabled) activePalette.push(params.paletteColor4);
         if (params.paletteColor5Enabled) activePalette.push(params.paletteColor5);
         if (activePalette.length > 0) {
-          const randomIndex = Math.floor(Math.random() * activePalette.length);
-          particle.material.uniforms.color.value.set(activePalette[randomIndex]);
+          const randomIndex = Math.floor(random() * activePalette.length);
+          color.set(activePalette[randomIndex]);
         } else {
-          particle.material.uniforms.color.value.set('#ffffff'); 
+          color.set('#ffffff'); 
         }
         break;
       default:
-        particle.material.uniforms.color.value.setHSL(Math.random(), 0.7, 0.6);
+        color.setHSL(random(), 0.7, 0.6);
     }
+    if (params.currentTheme === 'light') toInkAbsorption(color);
   }
 }
 
-// The individual glow particle (was previously just "Particle")
-class GlowParticle {
-  constructor(path, options) {
-    this.path = path;
-    this.trailLength = options.trailLength;
-    this.currentT = Math.random();
-    this.baseSpeedRandomness = (0.5 + Math.random() * 1.0);
-    this.speed = options.speedFactor * this.baseSpeedRandomness;
-    
-    // Add lifecycle offset (random starting point in lifecycle)
-    this.lifecycleOffset = Math.random() * params.lifecycle.randomOffset;
-    
-    // Track reset state to handle open curves gracefully
-    this.justReset = false; 
-    
-    this.scatterOffset = new THREE.Vector3(
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius
-    );
-
-    this.trailPositions = new Float32Array(this.trailLength * 3);
-    this.trailAlphas = new Float32Array(this.trailLength);
-
-    const segmentDeltaT = 0.001;
-    for (let i = 0; i < this.trailLength; i++) {
-      let t = this.currentT - i * segmentDeltaT;
-      t = ((t % 1) + 1) % 1;
-      const posOnCurve = this.path.getPointAt(t);
-      const scatteredPos = posOnCurve.clone().add(this.scatterOffset);
-      scatteredPos.toArray(this.trailPositions, i * 3);
-      this.trailAlphas[i] = 1.0 - (i / Math.max(1, this.trailLength - 1));
-    }
-    if(this.trailLength > 0) this.trailAlphas[0] = 1.0;
-
-    this.geometry = new THREE.BufferGeometry();
-    this.geometry.setAttribute('position', new THREE.BufferAttribute(this.trailPositions, 3));
-    this.geometry.setAttribute('trailAlphaMultiplier', new THREE.BufferAttribute(this.trailAlphas, 1));
-
-    this.material = new THREE.ShaderMaterial({
-      uniforms: {
-        color: { value: new THREE.Color() },
-        uBoldness: { value: options.boldness },
-        uLifecycleAlpha: { value: 1.0 } // Add lifecycle alpha uniform
-      },
-      vertexShader: options.vertexShader,
-      fragmentShader: options.fragmentShader,
-      transparent: true,
-      // Blending will be set by applyThemeSettings
-      depthWrite: false
-    });
-    
-    // Color will be set by the ParticleSystem
-    this.mesh = new THREE.Line(this.geometry, this.material);
-    // Set line width (note: this only works in WebGL2 on some browsers)
-    this.mesh.material.linewidth = options.lineWidth || 1.0;
-    scene.add(this.mesh);
-  }
-
-  update() {
-    // Update speed in case speedFactor changed
-    this.speed = params.glow.speedFactor * this.baseSpeedRandomness;
-    this.currentT += this.speed;
-
-    const positions = this.mesh.geometry.attributes.position.array;
-    const alphas = this.mesh.geometry.attributes.trailAlphaMultiplier.array;
-
-    if (this.currentT >= 1) {
-      this.currentT = 0;
-      
-      // When looping, get a new random scatter offset
-      this.scatterOffset.set(
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius
-      );
-      
-      // For open curves, flag that a reset just happened to handle fading
-      if (!this.path.closed) {
-        this.justReset = true;
-      }
-
-      // To prevent a line from the old end to the new start, teleport the whole trail
-      const startPos = this.path.getPointAt(0).clone().add(this.scatterOffset);
-      for (let i = 0; i < this.trailLength; i++) {
-        startPos.toArray(positions, i * 3);
-      }
-    }
-    
-    // Normal trail update: move the trail forward
-    const posOnCurve = this.path.getPointAt(this.currentT);
-    const newHeadPos = posOnCurve.clone().add(this.scatterOffset);
-    
-    // Shift existing points down the trail
-    for (let i = this.trailLength - 1; i > 0; i--) {
-      positions[i * 3] = positions[(i - 1) * 3];
-      positions[i * 3 + 1] = positions[(i - 1) * 3 + 1];
-      positions[i * 3 + 2] = positions[(i - 1) * 3 + 2];
-    }
-    
-    // Add the new head position
-    newHeadPos.toArray(positions, 0);
-
-    // Recalculate all alphas for smooth fade
-    for (let i = 0; i < this.trailLength; i++) {
-      alphas[i] = 1.0 - (i / Math.max(1, this.trailLength - 1));
-    }
-    if (this.trailLength > 0) alphas[0] = 1.0;
-    if (this.trailLength <= 1 && alphas.length > 0) alphas[0] = 1.0;
-
-    this.mesh.geometry.attributes.position.needsUpdate = true;
-    this.mesh.geometry.attributes.trailAlphaMultiplier.needsUpdate = true;
-  }
-
-  dispose() {
-    this.geometry.dispose();
-    this.material.dispose();
-    scene.remove(this.mesh);
-  }
-}
-
-// Placeholder for the WeldingSparkParticleSystem - will be implemented in next phase
+// WeldingSparkParticleSystem draws the sparks of every emitter in one Points object
 class WeldingSparkParticleSystem extends ParticleSystem {
   constructor() {
     super('weldingSpark');
+    this.mesh = null;
     
     // Shader for the welding sparks with point sprites
     this.vertexShader = `
       attribute float size;
       attribute float sparkLife;
+      attribute float sparkLifecycle;
       varying float vSparkLife;
+      varying float vLifecycle;
       
       void main() {
         vSparkLife = sparkLife;
+        vLifecycle = sparkLifecycle;
         vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
         gl_PointSize = size * (300.0 / -mvPosition.z);
         gl_Position = projectionMatrix * mvPosition;
@@ -480,9 +545,11 @@ class WeldingSparkParticleSystem extends ParticleSystem {
     
     this.fragmentShader = `
       varying float vSparkLife;
+      varying float vLifecycle;
       uniform vec3 sparkColor;
       uniform float sparkHeat;
-      uniform float lifecycleAlpha;
+      uniform float ink;      // 1.0 in the light theme (see toInkAbsorption)
+      uniform float inkShade;
       
       void main() {
         // Calculate distance from center of point
@@ -496,9 +563,11 @@ class WeldingSparkParticleSystem extends ParticleSystem {
         vec3 innerColor = mix(vec3(1.0, 0.9, 0.5), vec3(1.0, 1.0, 1.0), sparkHeat);
         vec3 outerColor = mix(vec3(1.0, 0.3, 0.0), vec3(1.0, 0.6, 0.0), sparkHeat);
         vec3 finalColor = mix(outerColor, innerColor, 1.0 - dist * 2.0);
+        // In the light theme, the light a darker ink of this color takes away
+        if (ink > 0.5) finalColor = 1.0 - finalColor * inkShade;
         
         // Fade based on spark life and apply lifecycle alpha
-        float alpha = vSparkLife * (1.0 - dist * 1.5) * lifecycleAlpha;
+        float alpha = vSparkLife * (1.0 - dist * 1.5) * vLifecycle;
         
         gl_FragColor = vec4(finalColor, alpha);
       }
@@ -506,226 +575,86 @@ class WeldingSparkParticleSystem extends ParticleSystem {
   }
 
   createParticles() {
-    for (let i = 0; i < params.numParticles; i++) {
-      this.particles.push(new WeldingSpark(curvePath, {
-        trailLength: params.weldingSpark.trailLength,
-        speedFactor: params.weldingSpark.speedFactor,
-        sparkSize: params.weldingSpark.sparkSize,
-        sparkHeat: params.weldingSpark.sparkHeat,
-        scatterRadius: params.particleScatterRadius,
-        vertexShader: this.vertexShader,
-        fragmentShader: this.fragmentShader
-      }));
-    }
-  }
-
-  update() {
-    this.particles.forEach(p => {
-      // Update particle motion
-      p.update();
-      
-      // Apply lifecycle alpha
-      if (params.lifecycle.enabled && p.material.uniforms.lifecycleAlpha) {
-        p.material.uniforms.lifecycleAlpha.value = this.calculateLifecycleAlpha(p);
-      }
-    });
-  }
-
-  updateColors() {
-    // Nothing special needed for welding sparks as they use a heat-based coloring
-  }
-  
-  updateSparkParams() {
-    this.particles.forEach(p => {
-      if (p.material.uniforms.sparkHeat) {
-        p.material.uniforms.sparkHeat.value = params.weldingSpark.sparkHeat;
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    // Welding sparks look best with additive blending in both themes
-    this.particles.forEach(p => p.material.blending = THREE.AdditiveBlending);
-  }
-}
-
-// The individual welding spark particle
-class WeldingSpark {
-  constructor(path, options) {
-    this.path = path;
-    this.maxLife = options.trailLength;
-    this.currentT = Math.random();
-    this.baseSpeedRandomness = (0.5 + Math.random() * 1.5); // More speed variation than glow
-    this.speed = options.speedFactor * this.baseSpeedRandomness;
-    
-    // Add lifecycle offset (random starting point in lifecycle)
-    this.lifecycleOffset = Math.random() * params.lifecycle.randomOffset;
+    const outputs = this.startSimulation({ trailLength: params.weldingSpark.trailLength });
     
-    this.scatterOffset = new THREE.Vector3(
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius
-    );
-
-    // For welding sparks, we store both positions and 'life' of each particle
-    const maxParticles = this.maxLife * 3; // Generate more particles for effect
-    this.positions = new Float32Array(maxParticles * 3);
-    this.sizes = new Float32Array(maxParticles);
-    this.sparkLives = new Float32Array(maxParticles);
-    this.velocities = [];
-    this.activeParticles = 0;
-    
-    // Prepare geometry with empty buffers that will be filled during update
-    this.geometry = new THREE.BufferGeometry();
-    this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-    this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
-    this.geometry.setAttribute('sparkLife', new THREE.BufferAttribute(this.sparkLives, 1));
+    // Every emitter has a fixed run of spark slots; unused slots have no size
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(outputs.sparkPositions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('size', new THREE.BufferAttribute(outputs.sparkSizes, 1).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('sparkLife', new THREE.BufferAttribute(outputs.sparkLives, 1).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('sparkLifecycle', new THREE.BufferAttribute(outputs.lifecycleAlphas, 1).setUsage(THREE.DynamicDrawUsage));
     
     this.material = new THREE.ShaderMaterial({
       uniforms: {
         sparkColor: { value: new THREE.Color(1.0, 0.6, 0.1) },
-        sparkHeat: { value: options.sparkHeat },
-        lifecycleAlpha: { value: 1.0 } // Add lifecycle alpha
+        sparkHeat: { value: params.weldingSpark.sparkHeat },
+        ink: { value: 0 },
+        inkShade: { value: params.lightTheme.shade },
       },
-      vertexShader: options.vertexShader,
-      fragmentShader: options.fragmentShader,
+      vertexShader: this.vertexShader,
+      fragmentShader: this.fragmentShader,
       transparent: true,
       blending: THREE.AdditiveBlending,
       depthWrite: false
     });
     
-    this.mesh = new THREE.Points(this.geometry, this.material);
+    this.mesh = new THREE.Points(geometry, this.material);
+    this.mesh.frustumCulled = false; // The sparks move every frame, so their bounds would go stale
+    this.slotsPerEmitter = outputs.sparkSizes.length / params.numParticles;
     scene.add(this.mesh);
-    
-    // Initial emission of particles
-    this.emitSparks();
   }
-  
-  emitSparks() {
-    // Get position on the curve
-    const posOnCurve = this.path.getPointAt(this.currentT);
-    const origin = posOnCurve.clone().add(this.scatterOffset);
-    
-    // Get curve tangent at this point to bias spark direction
-    const tangent = this.path.getTangentAt(this.currentT).normalize();
-    
-    // Emit a burst of sparks
-    const numNewSparks = Math.floor(2 + Math.random() * 5);
-    for (let i = 0; i < numNewSparks; i++) {
-      if (this.activeParticles >= this.positions.length / 3) break;
-      
-      // Random direction with some bias toward curve tangent
-      const tangentInfluence = params.weldingSpark.pathFollowing * (0.7 + Math.random() * 0.3); // Controlled by pathFollowing
-      const randomInfluence = 1.0 - tangentInfluence;
-      
-      // Random component (spherical coordinates)
-      const angle = Math.random() * Math.PI * 2;
-      const elevation = Math.random() * Math.PI - Math.PI/2; // Full sphere
-      const randomDir = new THREE.Vector3(
-        Math.cos(angle) * Math.cos(elevation),
-        Math.sin(elevation),
-        Math.sin(angle) * Math.cos(elevation)
-      ).normalize();
-      
-      // Mix random direction with tangent based on influence
-      const direction = new THREE.Vector3()
-        .addScaledVector(tangent, tangentInfluence)
-        .addScaledVector(randomDir, randomInfluence)
-        .normalize();
-      
-      // Add some gravity bias in y direction
-      direction.y -= 0.2 * (1 - params.weldingSpark.pathFollowing); // Less gravity when following path closely
-      direction.normalize();
-      
-      // Vary the speed
-      const speed = 0.05 + Math.random() * 0.15;
-      const velocity = direction.multiplyScalar(speed);
-      
-      // Set the position at the emission point
-      const idx = this.activeParticles * 3;
-      this.positions[idx] = origin.x;
-      this.positions[idx + 1] = origin.y;
-      this.positions[idx + 2] = origin.z;
-      
-      // Set initial properties
-      this.sizes[this.activeParticles] = (0.2 + Math.random() * 0.8) * params.weldingSpark.sparkSize;
-      this.sparkLives[this.activeParticles] = 1.0;
-      this.velocities[this.activeParticles] = velocity;
-      
-      this.activeParticles++;
+
+  clear() {
+    super.clear();
+    if (this.mesh) {
+      scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.material.dispose();
+      this.mesh = null;
     }
-    
-    // Update the geometry to reflect new particle count
-    this.geometry.setDrawRange(0, this.activeParticles);
   }
 
-  update() {
-    // Update speed in case speedFactor changed
-    this.speed = params.weldingSpark.speedFactor * this.baseSpeedRandomness;
-    this.currentT += this.speed;
-    
-    if (this.currentT >= 1) {
-      this.currentT = 0;
-      // Update scatter offset for new emission point
-      this.scatterOffset.set(
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius
-      );
-    }
-    
-    // Always emit sparks at the current location (more frequent than glow)
-    if (Math.random() > 0.7) {
-      this.emitSparks();
+  showOutputs(outputs) {
+    if (!this.mesh) return;
+    const attributes = this.mesh.geometry.attributes;
+    setAttributeArray(attributes.position, outputs.sparkPositions);
+    setAttributeArray(attributes.size, outputs.sparkSizes);
+    setAttributeArray(attributes.sparkLife, outputs.sparkLives);
+    setAttributeArray(attributes.sparkLifecycle, outputs.lifecycleAlphas);
+  }
+
+  bloomParts() {
+    return { sparks: this.mesh };
+  }
+
+  particlePosition(index, target) {
+    if (!this.mesh || index >= params.numParticles) return null;
+    // Emitters aren't drawn, so use the emitter's newest live spark, the nearest to it
+    const { position, size } = this.mesh.geometry.attributes;
+    const first = index * this.slotsPerEmitter;
+    for (let slot = first + this.slotsPerEmitter - 1; slot >= first; slot--) {
+      if (size.array[slot] > 0) return target.fromArray(position.array, slot * 3);
     }
-    
-    // Update all active particles
-    let aliveCount = 0;
-    for (let i = 0; i < this.activeParticles; i++) {
-      // Reduce spark life
-      this.sparkLives[i] -= 0.03 + Math.random() * 0.02;
-      
-      if (this.sparkLives[i] > 0) {
-        const idx = i * 3;
-        
-        // Apply velocity and gravity
-        this.velocities[i].y -= 0.001; // Gravity effect
-        
-        this.positions[idx] += this.velocities[i].x;
-        this.positions[idx + 1] += this.velocities[i].y;
-        this.positions[idx + 2] += this.velocities[i].z;
-        
-        // Reduce size as life decreases
-        this.sizes[i] *= 0.98;
-        
-        // Keep this particle alive
-        if (i !== aliveCount) {
-          // Move this particle data to the position of the alive count
-          this.positions[aliveCount * 3] = this.positions[idx];
-          this.positions[aliveCount * 3 + 1] = this.positions[idx + 1];
-          this.positions[aliveCount * 3 + 2] = this.positions[idx + 2];
-          this.sizes[aliveCount] = this.sizes[i];
-          this.sparkLives[aliveCount] = this.sparkLives[i];
-          this.velocities[aliveCount] = this.velocities[i];
-        }
-        aliveCount++;
-      }
+    return null;
+  }
+
+  updateColors() {
+    // Nothing special needed for welding sparks as they use a heat-based coloring
+  }
+  
+  updateSparkParams() {
+    if (this.mesh) {
+      this.material.uniforms.sparkHeat.value = params.weldingSpark.sparkHeat;
     }
-    
-    // Update active count and draw range
-    this.activeParticles = aliveCount;
-    this.geometry.setDrawRange(0, this.activeParticles);
-    
-    // Mark attributes as needing update
-    this.geometry.attributes.position.needsUpdate = true;
-    this.geometry.attributes.size.needsUpdate = true;
-    this.geometry.attributes.sparkLife.needsUpdate = true;
   }
 
-  dispose() {
-    this.geometry.dispose();
-    this.material.dispose();
-    scene.remove(this.mesh);
+  applyTheme(theme) {
+    // Welding sparks look best with additive blending in both themes
+    if (this.mesh) {
+      this.material.blending = THREE.AdditiveBlending;
+      this.material.uniforms.ink.value = theme === 'light' ? 1 : 0;
+      this.material.uniforms.inkShade.value = params.lightTheme.shade;
+    }
   }
 }
 
@@ -733,12 +662,20 @@ class WeldingSpark {
 class CometParticleSystem extends ParticleSystem {
   constructor() {
     super('comet');
+    this.ribbons = null;
+    this.heads = null;
     
-    // Shader for the comet head (point sprite)
+    // Shader for the comet heads (point sprites, all comets in one Points object)
     this.headVertexShader = `
       uniform float headSize;
+      attribute vec3 headColor;
+      attribute float headLifecycle;
+      varying vec3 vColor;
+      varying float vLifecycle;
       
       void main() {
+        vColor = headColor;
+        vLifecycle = headLifecycle;
         vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
         gl_PointSize = headSize * (300.0 / -mvPosition.z);
         gl_Position = projectionMatrix * mvPosition;
@@ -746,9 +683,9 @@ class CometParticleSystem extends ParticleSystem {
     `;
     
     this.headFragmentShader = `
-      uniform vec3 cometColor;
       uniform float glowIntensity;
-      uniform float lifecycleAlpha;
+      varying vec3 vColor;
+      varying float vLifecycle;
       
       void main() {
         // Calculate distance from center of point
@@ -763,39 +700,25 @@ class CometParticleSystem extends ParticleSystem {
         if (dist > 0.5) discard;
         
         // Apply lifecycle alpha to the final color
-        float finalAlpha = brightness * lifecycleAlpha;
+        float finalAlpha = brightness * vLifecycle;
         
         // Center is brightest, edge fades out
-        gl_FragColor = vec4(cometColor, finalAlpha);
+        gl_FragColor = vec4(vColor, finalAlpha);
       }
     `;
     
-    // Shader for the comet tail (line)
-    this.tailVertexShader = `
-      attribute float tailFade;
-      varying float vTailFade;
-      uniform float tailWidth;
-      
-      void main() {
-        vTailFade = tailFade;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `;
-    
-    this.tailFragmentShader = `
-      varying float vTailFade;
-      uniform vec3 cometColor;
+    // Shader for the comet tails (ribbons)
+    this.tailFragmentShader = RIBBON_FRAGMENT_HEADER + `
       uniform float glowIntensity;
       uniform float tailFade;
-      uniform float lifecycleAlpha;
       
       void main() {
         // Fade based on position in the tail, affected by tailFade parameter
-        float fadeEffect = pow(vTailFade, 1.0 / tailFade);
-        float alpha = fadeEffect * glowIntensity * 1.5 * lifecycleAlpha;
+        float fadeEffect = pow(1.0 - vTrail, 1.0 / tailFade);
+        float alpha = fadeEffect * glowIntensity * 1.5 * vLifecycle * ribbonEdge();
         
         // Enhance brightness for bolder tails
-        vec3 enhancedColor = mix(cometColor, vec3(1.0, 1.0, 1.0), 0.2 * fadeEffect);
+        vec3 enhancedColor = mix(vColor, vec3(1.0, 1.0, 1.0), 0.2 * fadeEffect);
         
         // Tail color is the same as head but with transparency
         gl_FragColor = vec4(enhancedColor, alpha);
@@ -804,480 +727,172 @@ class CometParticleSystem extends ParticleSystem {
   }
 
   createParticles() {
-    for (let i = 0; i < params.numParticles; i++) {
-      this.particles.push(new Comet(curvePath, {
-        tailLength: params.comet.tailLength,
-        headSize: params.comet.headSize,
-        tailWidth: params.comet.tailWidth,
-        tailFade: params.comet.tailFade,
-        glowIntensity: params.comet.glowIntensity,
-        speedFactor: params.comet.speedFactor,
-        scatterRadius: params.particleScatterRadius,
-        headVertexShader: this.headVertexShader,
-        headFragmentShader: this.headFragmentShader,
-        tailVertexShader: this.tailVertexShader,
-        tailFragmentShader: this.tailFragmentShader,
-        color: params.comet.cometColor
-      }));
-    }
-  }
-
-  update() {
-    this.particles.forEach(p => {
-      // Update particle motion (which may set the justReset flag)
-      p.update();
-      
-      // Apply lifecycle alpha, with special handling for open curves
-      if (params.lifecycle.enabled) {
-        let finalAlpha = this.calculateLifecycleAlpha(p);
-
-        // For open curves, add fade-out/fade-in to hide the jump
-        if (!p.path.closed) {
-          const fadeOutTime = params.lifecycle.fadeOutTime;
-          const fadeInTime = params.lifecycle.fadeInTime;
-          const fadeOutStartT = 1.0 - fadeOutTime; // Start fading out in the last portion
-          
-          if (p.currentT > fadeOutStartT) {
-            // Fading out as it approaches the end
-            const fadeOutProgress = (p.currentT - fadeOutStartT) / fadeOutTime;
-            finalAlpha *= (1.0 - fadeOutProgress);
-
-          } else if (p.justReset && p.currentT < fadeInTime) {
-            // Fading in after a reset
-            const fadeInProgress = p.currentT / fadeInTime;
-            finalAlpha *= fadeInProgress;
-            
-            // If fade-in is complete, turn off the reset flag
-            if (fadeInProgress >= 1.0) {
-              p.justReset = false;
-            }
-          } else if (p.justReset) {
-            // It has been reset, but we are past the fade-in time
-            p.justReset = false;
-          }
-        }
-        
-        // Apply the final alpha to head material
-        if (p.headMaterial.uniforms.lifecycleAlpha) {
-          p.headMaterial.uniforms.lifecycleAlpha.value = finalAlpha;
-        }
-        // Apply the final alpha to tail material
-        if (p.tailMaterial.uniforms.lifecycleAlpha) {
-          p.tailMaterial.uniforms.lifecycleAlpha.value = finalAlpha;
-        }
-        
-        // Also apply to all wide tail meshes if they exist
-        if (p.wideTailMeshes) {
-          p.wideTailMeshes.forEach(mesh => {
-            if (mesh.material.uniforms.lifecycleAlpha) {
-              mesh.material.uniforms.lifecycleAlpha.value = finalAlpha;
-            }
-          });
-        }
-      }
-    });
-  }
-
-  updateColors() {
-    this.particles.forEach(p => this.setCometColor(p));
-  }
-  
-  updateCometParams() {
-    this.particles.forEach(p => {
-      // Update uniform values from params
-      if (p.headMaterial.uniforms.headSize) {
-        p.headMaterial.uniforms.headSize.value = params.comet.headSize;
-      }
-      if (p.headMaterial.uniforms.glowIntensity) {
-        p.headMaterial.uniforms.glowIntensity.value = params.comet.glowIntensity;
-        p.tailMaterial.uniforms.glowIntensity.value = params.comet.glowIntensity;
-      }
-      if (p.tailMaterial.uniforms.tailWidth) {
-        p.tailMaterial.uniforms.tailWidth.value = params.comet.tailWidth;
-      }
-      if (p.tailMaterial.uniforms.tailFade) {
-        p.tailMaterial.uniforms.tailFade.value = params.comet.tailFade;
-      }
-      
-      // Also update the line width for the tail (when supported by browser)
-      if (p.tailMesh && p.tailMesh.material) {
-        p.tailMesh.material.linewidth = params.comet.tailWidth;
-      }
-      
-      // Update all additional wide tail meshes
-      if (p.wideTailMeshes) {
-        // If the tail width has changed dramatically, recreate the system
-        const targetExtraLines = Math.floor(params.comet.tailWidth * 2);
-        if (Math.abs(targetExtraLines - p.wideTailMeshes.length) > 2) {
-          recreateSystem();
-          return;
-        }
-        
-        // Otherwise update the existing meshes
-        for (let i = 0; i < p.wideTailMeshes.length; i++) {
-          if (p.wideTailMeshes[i].material.uniforms.tailFade) {
-            p.wideTailMeshes[i].material.uniforms.tailFade.value = params.comet.tailFade;
-          }
-          if (p.wideTailMeshes[i].material.uniforms.glowIntensity) {
-            // Decrease intensity for outer lines
-            const intensityFactor = 1 - i / p.wideTailMeshes.length * 0.5;
-            p.wideTailMeshes[i].material.uniforms.glowIntensity.value = 
-              params.comet.glowIntensity * intensityFactor;
-          }
-        }
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    // Comets look best with additive blending in dark theme
-    if (theme === 'dark') {
-      this.particles.forEach(p => {
-        p.headMaterial.blending = THREE.AdditiveBlending;
-        p.tailMaterial.blending = THREE.AdditiveBlending;
-      });
-    } else {
-      // For light theme, use normal blending
-      this.particles.forEach(p => {
-        p.headMaterial.blending = THREE.NormalBlending;
-        p.tailMaterial.blending = THREE.NormalBlending;
-      });
-    }
-    
-    // Update colors based on theme
-    this.updateColors();
-  }
-  
-  // Set comet colors based on color mode
-  setCometColor(comet) {
-    let color;
-    
-    if (params.currentTheme === 'light') {
-      // Use a darker color for light theme
-      color = new THREE.Color(0x0066cc);
-    } else {
-      // For dark theme, use the selected color mode
-      switch (params.comet.colorMode) {
-        case 'rainbow':
-          color = new THREE.Color().setHSL(Math.random(), 0.8, 0.6);
-          break;
-        case 'single':
-          color = new THREE.Color(params.comet.cometColor);
-          break;
-        case 'palette':
-          // Use the same palette system as glow particles
-          const activePalette = [];
-          if (params.paletteColor1Enabled) activePalette.push(params.paletteColor1);
-          if (params.paletteColor2Enabled) activePalette.push(params.paletteColor2);
-          if (params.paletteColor3Enabled) activePalette.push(params.paletteColor3);
-          if (params.paletteColor4Enabled) activePalette.push(params.paletteColor4);
-          if (params.paletteColor5Enabled) activePalette.push(params.paletteColor5);
-          
-          if (activePalette.length > 0) {
-            const randomIndex = Math.floor(Math.random() * activePalette.length);
-            color = new THREE.Color(activePalette[randomIndex]);
-          } else {
-            color = new THREE.Color(params.comet.cometColor);
-          }
-          break;
-        default:
-          color = new THREE.Color(params.comet.cometColor);
-      }
-    }
-    
-    // Apply color to both head and tail
-    comet.headMaterial.uniforms.cometColor.value.copy(color);
-    comet.tailMaterial.uniforms.cometColor.value.copy(color);
-  }
-}
-
-// Individual comet particle with head and tail
-class Comet {
-  constructor(path, options) {
-    this.path = path;
-    this.tailLength = options.tailLength;
-    this.currentT = Math.random();
-    this.baseSpeedRandomness = (0.5 + Math.random() * 1.0);
-    this.speed = options.speedFactor * this.baseSpeedRandomness;
-    
-    // Add lifecycle offset (random starting point in lifecycle)
-    this.lifecycleOffset = Math.random() * params.lifecycle.randomOffset;
-    
-    // Track reset state to handle open curves gracefully
-    this.justReset = false;
-    
-    // Scatter offset for the comet's path
-    this.scatterOffset = new THREE.Vector3(
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius,
-      (Math.random() - 0.5) * 2 * options.scatterRadius
-    );
-
-    // Create the head (a point)
-    this.headGeometry = new THREE.BufferGeometry();
-    this.headPosition = new Float32Array(3);
-    
-    // Initialize head position
-    const initialPos = this.path.getPointAt(this.currentT).clone().add(this.scatterOffset);
-    initialPos.toArray(this.headPosition);
-    
-    this.headGeometry.setAttribute('position', new THREE.BufferAttribute(this.headPosition, 3));
-    
-    // Create the tail (a line)
-    this.tailPositions = new Float32Array(this.tailLength * 3);
-    this.tailFades = new Float32Array(this.tailLength);
-    
-    // Initialize tail with head position
-    for (let i = 0; i < this.tailLength; i++) {
-      initialPos.toArray(this.tailPositions, i * 3);
-      this.tailFades[i] = 1.0 - (i / Math.max(1, this.tailLength - 1));
-    }
-    
-    this.tailGeometry = new THREE.BufferGeometry();
-    this.tailGeometry.setAttribute('position', new THREE.BufferAttribute(this.tailPositions, 3));
-    this.tailGeometry.setAttribute('tailFade', new THREE.BufferAttribute(this.tailFades, 1));
-    
-    // Create materials with shaders
-    this.headMaterial = new THREE.ShaderMaterial({
+    const count = params.numParticles;
+    const outputs = this.startSimulation({ tailLength: params.comet.tailLength });
+    
+    // Tails: one ribbon per comet, all in one draw call
+    this.ribbons = new TrailRibbons(count, params.comet.tailLength, {
+      positions: outputs.tailPositions,
+      lifecycleAlphas: outputs.tailLifecycleAlphas,
+      fragmentShader: this.tailFragmentShader,
       uniforms: {
-        cometColor: { value: new THREE.Color(options.color) },
-        headSize: { value: options.headSize },
-        glowIntensity: { value: options.glowIntensity },
-        lifecycleAlpha: { value: 1.0 } // Add lifecycle alpha uniform
+        glowIntensity: { value: params.comet.glowIntensity },
+        tailFade: { value: params.comet.tailFade },
       },
-      vertexShader: options.headVertexShader,
-      fragmentShader: options.headFragmentShader,
-      transparent: true,
-      blending: THREE.AdditiveBlending,
-      depthWrite: false
     });
-    
-    this.tailMaterial = new THREE.ShaderMaterial({
+    this.ribbons.material.blending = THREE.AdditiveBlending;
+    
+    // Heads: one point per comet
+    this.headColors = new Float32Array(count * 3);
+    const headGeometry = new THREE.BufferGeometry();
+    headGeometry.setAttribute('position', new THREE.BufferAttribute(outputs.headPositions, 3).setUsage(THREE.DynamicDrawUsage));
+    headGeometry.setAttribute('headColor', new THREE.BufferAttribute(this.headColors, 3));
+    headGeometry.setAttribute('headLifecycle', new THREE.BufferAttribute(outputs.headLifecycleAlphas, 1).setUsage(THREE.DynamicDrawUsage));
+    this.headMaterial = new THREE.ShaderMaterial({
       uniforms: {
-        cometColor: { value: new THREE.Color(options.color) },
-        tailWidth: { value: options.tailWidth },
-        tailFade: { value: options.tailFade || 0.8 },
-        glowIntensity: { value: options.glowIntensity },
-        lifecycleAlpha: { value: 1.0 } // Add lifecycle alpha uniform
+        headSize: { value: params.comet.headSize },
+        glowIntensity: { value: params.comet.glowIntensity },
       },
-      vertexShader: options.tailVertexShader,
-      fragmentShader: options.tailFragmentShader,
+      vertexShader: this.headVertexShader,
+      fragmentShader: this.headFragmentShader,
       transparent: true,
       blending: THREE.AdditiveBlending,
       depthWrite: false
     });
+    this.heads = new THREE.Points(headGeometry, this.headMaterial);
+    this.heads.frustumCulled = false; // The comets move every frame, so their bounds would go stale
     
-    // Create meshes for head and tail
-    this.headMesh = new THREE.Points(this.headGeometry, this.headMaterial);
-    
-    // For better visual effect, create a fat line (using THREE.MeshLine or custom LineSegments)
-    // This works better than just setting linewidth which has browser limitations
-    this.tailMesh = new THREE.Line(this.tailGeometry, this.tailMaterial);
-    this.tailMesh.material.linewidth = options.tailWidth;
-    
-    // Add to scene
-    scene.add(this.headMesh);
-    scene.add(this.tailMesh);
-    
-    // Create a series of additional lines for a thicker tail effect
-    this.wideTailMeshes = [];
-    const numExtraLines = Math.floor(options.tailWidth * 2); // Scale number of lines with desired width
-    
-    if (numExtraLines > 0) {
-      // Create offset positions for additional lines to make a thicker tail
-      for (let i = 0; i < numExtraLines; i++) {
-        // Create a slight offset for each additional line
-        const offset = (i + 1) * 0.05;
-        const angle = (i / numExtraLines) * Math.PI * 2;
-        const offsetX = Math.cos(angle) * offset;
-        const offsetY = Math.sin(angle) * offset;
-        
-        // Clone the tail geometry and offset positions
-        const offsetGeometry = this.tailGeometry.clone();
-        const positions = offsetGeometry.attributes.position.array;
-        
-        // Apply offset to each position
-        for (let j = 0; j < positions.length; j += 3) {
-          positions[j] += offsetX; // X position
-          positions[j + 1] += offsetY; // Y position
-        }
-        
-        // Create a mesh with the offset geometry
-        const offsetMesh = new THREE.Line(offsetGeometry, this.tailMaterial.clone());
-        scene.add(offsetMesh);
-        
-        // Add alpha multiplier based on distance from center
-        offsetMesh.material.uniforms.glowIntensity.value *= (1 - i / numExtraLines * 0.5);
-        
-        this.wideTailMeshes.push(offsetMesh);
-      }
-    }
+    this.updateTrailStyle();
+    scene.add(this.ribbons.mesh);
+    scene.add(this.heads);
   }
 
-  update() {
-    // Update speed in case speedFactor changed
-    this.speed = params.comet.speedFactor * this.baseSpeedRandomness;
-    this.currentT += this.speed;
-    
-    if (this.currentT >= 1) {
-      this.currentT = 0;
-      // Update scatter offset when completing a loop
-      this.scatterOffset.set(
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius,
-        (Math.random() - 0.5) * 2 * params.particleScatterRadius
-      );
-      
-      // For open curves, flag that a reset just happened to handle fading
-      if (!this.path.closed) {
-        this.justReset = true;
-      }
+  clear() {
+    super.clear();
+    if (this.ribbons) {
+      scene.remove(this.ribbons.mesh);
+      this.ribbons.dispose();
+      this.ribbons = null;
     }
-    
-    // Update head position
-    const headPos = this.path.getPointAt(this.currentT).clone().add(this.scatterOffset);
-    headPos.toArray(this.headPosition);
-    this.headGeometry.attributes.position.needsUpdate = true;
-    
-    // Calculate segment size for tail
-    const tailSegmentLength = this.speed * 0.95;
-    
-    // Update main tail positions
-    this.updateTailGeometry(this.tailMesh.geometry, tailSegmentLength, new THREE.Vector3(0, 0, 0));
-    
-    // Update all wide tail meshes
-    if (this.wideTailMeshes.length > 0) {
-      const numExtraLines = this.wideTailMeshes.length;
-      
-      for (let i = 0; i < numExtraLines; i++) {
-        // Create a slight offset for each additional line
-        const offset = (i + 1) * 0.05;
-        const angle = (i / numExtraLines) * Math.PI * 2;
-        const offsetVector = new THREE.Vector3(
-          Math.cos(angle) * offset,
-          Math.sin(angle) * offset,
-          0
-        );
-        
-        this.updateTailGeometry(this.wideTailMeshes[i].geometry, tailSegmentLength, offsetVector);
-      }
+    if (this.heads) {
+      scene.remove(this.heads);
+      this.heads.geometry.dispose();
+      this.headMaterial.dispose();
+      this.heads = null;
     }
   }
-  
-  // Update a tail geometry with given offset
-  updateTailGeometry(geometry, tailSegmentLength, offsetVector) {
-    const positions = geometry.attributes.position.array;
-    
-    // Create a smooth tail by sampling points along the curve
-    for (let i = 0; i < this.tailLength; i++) {
-      // Calculate t value for this tail segment by going backwards along the curve
-      let t = this.currentT - (i * tailSegmentLength);
-      
-      // Handle wrapping around the curve (t < 0)
-      t = ((t % 1) + 1) % 1; 
-      
-      // Get position on curve and add scatter offset
-      const posOnCurve = this.path.getPointAt(t).clone().add(this.scatterOffset);
-      
-      // Add additional offset for wide tails
-      posOnCurve.add(offsetVector);
-      
-      // Set position in tail
-      posOnCurve.toArray(positions, i * 3);
-    }
-    
-    geometry.attributes.position.needsUpdate = true;
-  }
 
-  dispose() {
-    this.headGeometry.dispose();
-    this.tailGeometry.dispose();
-    this.headMaterial.dispose();
-    this.tailMaterial.dispose();
-    scene.remove(this.headMesh);
-    scene.remove(this.tailMesh);
-    
-    // Dispose all wide tail meshes
-    for (let i = 0; i < this.wideTailMeshes.length; i++) {
-      scene.remove(this.wideTailMeshes[i]);
-      this.wideTailMeshes[i].geometry.dispose();
-      this.wideTailMeshes[i].material.dispose();
-    }
-    this.wideTailMeshes = [];
+  showOutputs(outputs) {
+    if (!this.ribbons) return;
+    this.ribbons.setArrays(outputs.tailPositions, outputs.tailLifecycleAlphas);
+    setAttributeArray(this.heads.geometry.attributes.position, outputs.headPositions);
+    setAttributeArray(this.heads.geometry.attributes.headLifecycle, outputs.headLifecycleAlphas);
   }
-}
 
-function createVivianiCurvePoints(a = 2, numPoints = 200) {
-  const points = [];
-  const tMax = 4 * Math.PI;
-  for (let i = 0; i <= numPoints; i++) {
-    const t = (i / numPoints) * tMax;
-    const x = a * (1 + Math.cos(t));
-    const y = a * Math.sin(t);
-    const z = 2 * a * Math.sin(t / 2);
-    points.push(new THREE.Vector3(x, y, z));
-  }
-  return points;
-}
+  beforeRender() {
+    if (this.ribbons) this.ribbons.setResolution(renderer.getSize(canvasSize));
+  }
 
-function createLorenzAttractorPoints(sigma = 10, rho = 28, beta = 8/3, scale = 1.0, timeStep = 0.01, numPoints = 2000) {
-  const points = [];
-  
-  // Initial conditions
-  let x = 1.0;
-  let y = 1.0; 
-  let z = 1.0;
-  
-  // Generate points by numerically integrating the Lorenz equations
-  for (let i = 0; i < numPoints; i++) {
-    // Lorenz equations:
-    // dx/dt = sigma * (y - x)
-    // dy/dt = x * (rho - z) - y  
-    // dz/dt = x * y - beta * z
-    
-    const dx = sigma * (y - x);
-    const dy = x * (rho - z) - y;
-    const dz = x * y - beta * z;
-    
-    // Euler integration step
-    x += dx * timeStep;
-    y += dy * timeStep;
-    z += dz * timeStep;
-    
-    // Scale and add point, swapping y and z for the classic orientation
-    // where the "height" of the butterfly is along the y-axis in Three.js
-    points.push(new THREE.Vector3(x * scale, z * scale, y * scale));
+  bloomParts() {
+    return { heads: this.heads, tails: this.ribbons && this.ribbons.mesh };
   }
-  
-  return points;
-}
 
-function createJugglingPatternPoints(balls = 3, throwHeight = 8.0, handSeparation = 6.0, 
-                                   throwAngle = 0.3, gravity = 9.8, scale = 1.0, numPoints = 1200, pattern = '3') {
-  const points = [];
-  
-  // Create a figure-8 (infinity symbol) pattern that represents the visual flow of juggling
-  // This is what your eyes naturally track when watching someone juggle
-  
-  const width = handSeparation * scale;
-  const height = throwHeight * scale;
-  const centerY = height * 0.4; // Crossover point slightly above center
+  particlePosition(index, target) {
+    if (!this.heads || index >= this.ribbons.count) return null;
+    return target.fromArray(this.heads.geometry.attributes.position.array, index * 3);
+  }
+
+  updateColors() {
+    if (!this.ribbons) return;
+    const random = this.colorRandom();
+    for (let i = 0; i < this.ribbons.count; i++) {
+      const color = this.getCometColor(random);
+      if (params.currentTheme === 'light') toInkAbsorption(color);
+      color.toArray(this.headColors, i * 3);
+      this.ribbons.setTrailColor(i, color);
+    }
+    this.heads.geometry.attributes.headColor.needsUpdate = true;
+  }
   
-  for (let i = 0; i <= numPoints; i++) {
-    const t = (i / numPoints) * 4 * Math.PI; // Two complete loops for figure-8
-    
-    // Parametric equations for a figure-8 (lemniscate of Gerono)
-    // Modified to be vertically oriented like juggling
-    const x = (width * Math.sin(t)) / (1 + Math.cos(t) * Math.cos(t));
-    const y = (height * Math.sin(t) * Math.cos(t)) / (1 + Math.cos(t) * Math.cos(t)) + centerY;
-    const z = 0; // Keep it in the x-y plane
+  updateCometParams() {
+    if (!this.ribbons) return;
+    this.headMaterial.uniforms.headSize.value = params.comet.headSize;
+    this.headMaterial.uniforms.glowIntensity.value = params.comet.glowIntensity;
+    this.ribbons.material.uniforms.glowIntensity.value = params.comet.glowIntensity;
+    this.ribbons.material.uniforms.tailFade.value = params.comet.tailFade;
+    this.updateTrailStyle();
+  }
+
+  updateTrailStyle() {
+    if (this.ribbons) applyTrailStyle(this.ribbons, params.comet.tailWidth);
+  }
+
+  applyTheme(theme) {
+    if (this.ribbons) {
+      // Additive in both themes, as for glow particles
+      this.headMaterial.blending = THREE.AdditiveBlending;
+      this.ribbons.material.blending = THREE.AdditiveBlending;
+    }
     
-    points.push(new THREE.Vector3(x, y, z));
+    // Update colors based on theme
+    this.updateColors();
   }
   
-  return points;
+  // Pick a comet color based on color mode, drawing from random
+  getCometColor(random) {
+    switch (params.comet.colorMode) {
+      case 'rainbow':
+        return new THREE.Color().setHSL(random(), 0.8, 0.6);
+      case 'single':
+        return new THREE.Color(params.comet.cometColor);
+      case 'palette':
+        // Use the same palette system as glow particles
+        const activePalette = [];
+        if (params.paletteColor1Enabled) activePalette.push(params.paletteColor1);
+        if (params.paletteColor2Enabled) activePalette.push(params.paletteColor2);
+        if (params.paletteColor3Enabled) activePalette.push(params.paletteColor3);
+        if (params.paletteColor4Enabled) activePalette.push(params.paletteColor4);
+        if (params.paletteColor5Enabled) activePalette.push(params.paletteColor5);
+        
+        if (activePalette.length > 0) {
+          const randomIndex = Math.floor(random() * activePalette.length);
+          return new THREE.Color(activePalette[randomIndex]);
+        }
+        return new THREE.Color(params.comet.cometColor);
+      default:
+        return new THREE.Color(params.comet.cometColor);
+    }
+  }
 }
 
+// Viviani's curve and juggling patterns
+registerVivianiCurve();
+registerJugglingCurve();
+
+// Lorenz, Rössler, Aizawa, Thomas, Halvorsen, Chen and Dadras attractors
+registerAttractorCurves();
+
+// Torus knots, trefoil, figure-eight knot, Lissajous figures and loxodromes
+registerKnotCurves();
+
+// User-defined x(t), y(t), z(t) expressions
+registerCustomCurve();
+
+// Outline traced from an image silhouette
+registerImageCurve();
+
+// Paths imported from SVG path data or files
+registerSVGCurve();
+
+// Glyph outlines of typed text
+registerTextCurve();
+
+// Recorded trajectories loaded from CSV or JSON
+registerPointPathCurve();
+
+// Chromatic aberration, vignette, film grain, tone mapping, RGB shift and lens dirt
+registerBuiltinPostEffects();
+
 function updateColorControllerVisibility() {
   // Safety check: ensure GUI is initialized
   if (!gui) return;
@@ -1309,91 +924,192 @@ function applyThemeSettings() {
   
   // Handle bloom settings based on theme
   if (bloomPass) {
+    bloomPass.enabled = true;
+    applyParticleBloom();
     if (params.currentTheme === 'dark') {
-      bloomPass.enabled = true;
-      bloomPass.strength = params.darkBloomStrength;
       bloomPass.radius = params.darkBloomRadius;
       bloomPass.threshold = params.darkBloomThreshold;
       // Ensure bloom doesn't affect background
       bloomPass.clearColor = new THREE.Color(0x000000);
       bloomPass.clearAlpha = 0;
     } else { // light theme
-      bloomPass.enabled = false; // Disabled for light theme by default
+      // Bloom on the ink's absorbed light, which the ink pass turns into a soft shadow
+      bloomPass.radius = params.lightTheme.haloRadius;
+      bloomPass.threshold = 0;
     }
   }
+  inkPass.enabled = params.currentTheme === 'light';
+}
+
+// Direct rendering skips the composer, except in the light theme, which needs the ink
+// pass to turn the particles into ink
+function rendersDirectly() {
+  return params.useDirectRendering && params.currentTheme !== 'light';
+}
+
+// Put the current particle system's parts on the bloom layer or take them off, and
+// scale the bloom strength, as params.particleBloom says for its type
+function applyParticleBloom() {
+  const settings = params.particleBloom[params.particleType] || { strength: 1 };
+  const strength = params.currentTheme === 'dark' ? params.darkBloomStrength : params.lightTheme.haloStrength;
+  bloomPass.strength = strength * settings.strength;
+  
+  const parts = particleSystem ? Object.entries(particleSystem.bloomParts()).filter(([, object]) => object) : [];
+  parts.forEach(([name, object]) => {
+    if (settings[name] === false) {
+      object.layers.disable(BLOOM_LAYER);
+    } else {
+      object.layers.enable(BLOOM_LAYER);
+    }
+  });
+  // Bloom the whole frame, as before, unless some part is left out
+  bloomPass.selective = parts.some(([name]) => settings[name] === false);
+}
+
+// Parameter values for a curve type, created from the schema defaults on first use.
+// Parameters added to the schema later (e.g. when a curve re-registers) get their defaults too.
+function getCurveValues(type) {
+  const values = params.curves[type] || (params.curves[type] = {});
+  Object.entries(getDefaultCurveValues(type)).forEach(([name, value]) => {
+    if (!(name in values)) values[name] = value;
+  });
+  return values;
+}
+
+// Seed from the page URL (?seed=1234), or null if it has none
+function seedFromURL() {
+  const seed = new URLSearchParams(window.location.search).get('seed');
+  return seed !== null && /^\d+$/.test(seed) ? Number(seed) >>> 0 : null;
+}
+
+// Keep the seed in the URL, so reloading the page gives the same animation
+function writeSeedToURL() {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', params.seed);
+  window.history.replaceState(null, '', url);
+}
+
+// Switch to a new seed and restart the particles with it
+function setSeed(seed) {
+  params.seed = Math.floor(Math.abs(seed)) >>> 0;
+  if (seedController) seedController.updateDisplay();
+  writeSeedToURL();
+  rebuildParticleSystem();
 }
 
 function recreateSystem() {
   // Create curve based on selected type
-  let curvePoints;
-  let curveCenter;
-  let isCurveClosed = false; // By default, curves are not closed
-  
-  if (params.curveType === 'lorenz') {
-    curvePoints = createLorenzAttractorPoints(
-      params.lorenz.sigma, 
-      params.lorenz.rho, 
-      params.lorenz.beta, 
-      params.lorenz.scale, 
-      params.lorenz.timeStep, 
-      params.lorenz.numPoints
-    );
-    // Center the camera on the visual center of the attractor
-    const visualCenterY = (params.lorenz.rho - 1) * params.lorenz.scale;
-    curveCenter = new THREE.Vector3(0, visualCenterY, 0);
-    isCurveClosed = false; // Lorenz attractor is not a closed loop
-    
-    // Set optimal camera position for Lorenz attractor butterfly view
-    // Rotate clockwise around z-axis to match desired diagonal orientation
-    const angle = -18 * Math.PI / 180; // Convert to radians, negative for clockwise
-    const x = -35;
-    const y = 25;
-    const rotatedX = x * Math.cos(angle) - y * Math.sin(angle);
-    const rotatedY = x * Math.sin(angle) + y * Math.cos(angle);
-    camera.position.set(rotatedX, rotatedY, 40);
-  } else if (params.curveType === 'juggling') {
-    curvePoints = createJugglingPatternPoints(
-      params.juggling.balls,
-      params.juggling.throwHeight,
-      params.juggling.handSeparation,
-      params.juggling.throwAngle,
-      params.juggling.gravity,
-      params.juggling.scale,
-      params.juggling.numPoints,
-      params.juggling.pattern
-    );
-    // Center the camera on the juggling pattern (slightly above center)
-    curveCenter = new THREE.Vector3(0, params.juggling.throwHeight * 0.4, 0);
-    isCurveClosed = true; // Juggling pattern is a closed loop
-    
-    // Set optimal camera position for juggling pattern figure-8 view
-    camera.position.set(0, 0, 30);
-  } else {
-    // Default to Viviani curve
-    curvePoints = createVivianiCurvePoints(params.vivianiA, 256);
-    curveCenter = new THREE.Vector3(params.vivianiA, 0, 0);
-    isCurveClosed = true; // Viviani curve should be a closed loop
-    
-    // Set optimal camera position for Viviani curve figure-8 view
-    camera.position.set(90, 0, 1);
+  let curve = getCurve(params.curveType);
+  if (!curve) {
+    console.warn(`Unknown curve type: ${params.curveType}, defaulting to viviani`);
+    params.curveType = 'viviani';
+    curve = getCurve(params.curveType);
+  }
+  const type = params.curveType;
+  const values = getCurveValues(type);
+  const request = ++curveRequest;
+  
+  let curvePoints = null;
+  try {
+    curvePoints = curve.generate(values);
+  } catch (error) {
+    reportCurveError(type, error);
+  }
+  
+  if (curvePoints && typeof curvePoints.then === 'function') {
+    // Asynchronous curves (e.g. traced from an image) keep the last curve until they resolve
+    curvePoints.then(points => {
+      if (request !== curveRequest) return; // A newer rebuild took over meanwhile
+      applyCurve(type, curve, values, points);
+      rebuildParticleSystem();
+    }, error => {
+      if (request !== curveRequest) return;
+      console.warn(error.message);
+      showCurveWarning(type, error.message);
+    });
+  } else if (curvePoints) {
+    applyCurve(type, curve, values, curvePoints);
+  }
+  
+  rebuildParticleSystem();
+}
+
+// Keep the last valid curve on screen and explain what went wrong
+function reportCurveError(type, error) {
+  console.warn(error.message);
+  showCurveWarning(type, error.message);
+  if (curvePaths.length === 0) throw error; // Nothing to fall back to
+  if (!params.flowField.enabled) curveFlowField = null;
+}
+
+// Turn generated points into the curve paths the particles follow
+function applyCurve(type, curve, values, curvePoints) {
+  try {
+    // Flow-field mode needs a curve that exposes its vector field
+    curveFlowField = params.flowField.enabled && curve.flowField ? curve.flowField(values) : null;
+  } catch (error) {
+    reportCurveError(type, error);
+    return;
   }
+  showCurveWarning(type, null);
+  
+  const isPathClosed = index => typeof curve.closed === 'function' ? curve.closed(values, index) : curve.closed;
   
-  curvePath = new THREE.CatmullRomCurve3(curvePoints, isCurveClosed);
+  // Frame the curve with its default camera view, unless settings were just loaded
+  const { target: curveCenter, position: cameraPosition } = savedView || curve.framing(values);
+  savedView = null;
+  camera.position.copy(cameraPosition);
+  
+  // Generators return either a single point list or one point list per path.
+  // Paths that share the same points (e.g. balls on the same orbit) share one curve.
+  // Each is baked into a sampler once here, so particles don't search the spline's
+  // arc length every frame.
+  const pointLists = Array.isArray(curvePoints[0]) ? curvePoints : [curvePoints];
+  const curvesByPoints = new Map();
+  curvePaths = pointLists.map((points, index) => {
+    if (!curvesByPoints.has(points)) {
+      curvesByPoints.set(points, CurveSampler.fromPoints(points, isPathClosed(index)));
+    }
+    return curvesByPoints.get(points);
+  });
+  curvePathLengths = curve.shareParticlesByLength ? curvePaths.map(path => path.getLength()) : null;
   
   // Update camera target
   camera.lookAt(curveCenter);
   controls.target.copy(curveCenter);
-  
+}
+
+// Log what following the current curve costs per frame, through the splines and through
+// the baked samples, on a copy of the current particles (see core/samplingBenchmark.js)
+function benchmarkCurveSampling() {
+  if (curvePaths.length === 0 || !particleSystem) return;
+  const { lookups, spline, sampler, simulation } = benchmarkSampling(
+    params.particleType, curvePaths, particleSystem.simulationConfig(), particleSystem.simulationSettings());
+  console.log(`${params.numParticles} ${params.particleType} particles, ${lookups} path lookups per frame`);
+  console.table({
+    'Spline lookups (before baking)': `${spline.toFixed(2)} ms`,
+    'Baked sample lookups': `${sampler.toFixed(2)} ms`,
+    'Simulation step on baked samples': `${simulation.toFixed(2)} ms`,
+  });
+}
+
+function rebuildParticleSystem() {
   // Create the appropriate particle system based on type
   if (particleSystem) {
     particleSystem.clear(); // Clean up old system
   }
   particleSystem = ParticleSystem.create(params.particleType);
-  particleSystem.init();
+  // An asynchronous first curve may still be loading
+  if (curvePaths.length > 0) {
+    particleSystem.init();
+  }
   
   // Apply theme settings to the new particles
   applyThemeSettings();
   
+  // Streaks of the old particles would otherwise stay in the exposure
+  if (accumulationPass) accumulationPass.reset();
+  
   // Update GUI for the new particle type
   updateGUIVisibility();
 }
@@ -1406,16 +1122,235 @@ function updateGUIVisibility() {
   updateColorControllerVisibility();
 }
 
+function addCurveTypeController() {
+  const controller = curveOptionsFolder.add(params, 'curveType', getCurveTypes());
+  setupCurveTypeController(controller);
+  return controller;
+}
+
+function setupCurveTypeController(controller) {
+  controller.name('Curve Type').onChange(() => {
+    recreateSystem();
+    updateCurveParametersVisibility();
+  });
+  // Keep the dropdown above the per-curve folders when it is rebuilt
+  curveOptionsFolder.$children.prepend(controller.domElement);
+}
+
+// Build a GUI folder for a curve type from its parameter schema
+function buildCurveFolder(type) {
+  const curve = getCurve(type);
+  const values = getCurveValues(type);
+  const folder = curveOptionsFolder.addFolder(curve.label);
+  const lastValidValues = { ...values };
+  
+  Object.entries(curve.parameters).forEach(([name, schema]) => {
+    if (typeof schema.value === 'function') {
+      // Buttons act on the curve's values instead of holding one
+      folder.add({ [name]: () => schema.value(values) }, name).name(schema.label || name);
+      return;
+    }
+    
+    let controller;
+    if (schema.options) {
+      controller = folder.add(values, name, schema.options);
+    } else if (typeof schema.value === 'number') {
+      controller = folder.add(values, name, schema.min, schema.max, schema.step);
+    } else {
+      controller = folder.add(values, name);
+    }
+    controller.name(schema.label || name);
+    
+    // Text fields apply when editing finishes, everything else applies live
+    const applyChange = value => {
+      if (schema.validate) {
+        try {
+          schema.validate(value, values);
+        } catch (error) {
+          // Reject invalid values and keep the last one that worked
+          console.warn(error.message);
+          showCurveWarning(type, error.message);
+          values[name] = lastValidValues[name];
+          controller.updateDisplay();
+          return;
+        }
+      }
+      if (schema.onChange) {
+        schema.onChange(values);
+        folder.controllers.forEach(c => c.updateDisplay());
+      }
+      Object.assign(lastValidValues, values);
+      if (params.curveType === type) {
+        recreateSystem();
+      }
+    };
+    if (typeof schema.value === 'string' && !schema.options) {
+      controller.onFinishChange(applyChange);
+    } else {
+      controller.onChange(applyChange);
+    }
+  });
+  
+  // Inline warning shown when the curve can't be generated (hidden until needed)
+  const warning = document.createElement('div');
+  warning.className = 'curve-warning';
+  warning.style.display = 'none';
+  folder.$children.appendChild(warning);
+  curveWarnings[type] = warning;
+  
+  curveFolders[type] = folder;
+  return folder;
+}
+
+// Show (or with a null message, hide) the warning in a curve type's folder
+function showCurveWarning(type, message) {
+  const warning = curveWarnings[type];
+  if (!warning) return;
+  warning.textContent = message ? `⚠ ${message}` : '';
+  warning.style.display = message ? '' : 'none';
+}
+
+// Only show the folder of the selected curve type
+function updateCurveParametersVisibility() {
+  Object.entries(curveFolders).forEach(([type, folder]) => {
+    folder.domElement.style.display = params.curveType === type ? '' : 'none';
+  });
+  
+  // Flow-field mode is only offered for curves with a vector field
+  if (flowFieldFolder) {
+    const curve = getCurve(params.curveType);
+    flowFieldFolder.domElement.style.display = curve && curve.flowField ? '' : 'none';
+  }
+}
+
+// Bloom strength and part toggles for a particle type, in its folder
+function addParticleBloomControls(folder, type, partLabels) {
+  const settings = params.particleBloom[type];
+  folder.add(settings, 'strength', 0, 3, 0.05).name('Bloom Strength').onChange(applyParticleBloom);
+  Object.entries(partLabels).forEach(([part, label]) => {
+    folder.add(settings, part).name(label).onChange(applyParticleBloom);
+  });
+}
+
+// One folder per post effect, in stack order, built again whenever the stack changes
+function buildPostEffectFolders() {
+  postEffectFolders.forEach(folder => folder.destroy());
+  postEffectFolders = postEffects.entries.map((entry, index) => {
+    const effect = getPostEffect(entry.type);
+    const folder = postEffectsFolder.addFolder(`${index + 1}. ${effect ? effect.label : entry.type}`);
+    const update = () => postEffects.update(entry);
+    
+    // Effects that aren't registered (e.g. saved with a plugin) can only be removed
+    if (effect) {
+      folder.add(entry, 'enabled').name('Enabled').onChange(update);
+      Object.entries(effect.parameters).forEach(([name, schema]) => {
+        let controller;
+        if (schema.options) {
+          controller = folder.add(entry.values, name, schema.options);
+        } else if (typeof schema.value === 'number') {
+          controller = folder.add(entry.values, name, schema.min, schema.max, schema.step);
+        } else {
+          controller = folder.add(entry.values, name);
+        }
+        controller.name(schema.label || name).onChange(update);
+      });
+    }
+    
+    const change = action => () => {
+      action(entry);
+      buildPostEffectFolders();
+    };
+    folder.add({ up: change(e => postEffects.move(e, -1)) }, 'up').name('Move Up');
+    folder.add({ down: change(e => postEffects.move(e, 1)) }, 'down').name('Move Down');
+    folder.add({ remove: change(e => postEffects.remove(e)) }, 'remove').name('Remove');
+    return folder;
+  });
+}
+
+function setSettingsStatus(text) {
+  settingsFile.status = text;
+  if (settingsFolder) settingsFolder.controllers.forEach(c => c.updateDisplay());
+}
+
+// Download params and the camera view as a JSON settings file
+function saveSettings() {
+  const json = settingsToJSON(params, { position: camera.position, target: controls.target });
+  downloadBlob(new Blob([json], { type: 'application/json' }), `${params.curveType}-${params.seed}.json`);
+  setSettingsStatus('Saved');
+}
+
+// Apply a settings file's JSON text from saveSettings
+function loadSettings(text) {
+  let settings;
+  try {
+    settings = parseSettings(text);
+  } catch (error) {
+    console.warn(error.message);
+    setSettingsStatus(`Failed: ${error.message}`);
+    return;
+  }
+  mergeSettings(params, settings.params);
+  params.numParticles = Math.min(params.numParticles, MAX_PARTICLES[params.particleType] ?? MAX_PARTICLES.glow);
+  if (settings.view) {
+    savedView = {
+      position: new THREE.Vector3().fromArray(settings.view.position),
+      target: new THREE.Vector3().fromArray(settings.view.target),
+    };
+  }
+  
+  writeSeedToURL();
+  document.body.style.backgroundColor = params.backgroundColor;
+  const { enabled, mode, decay, paint } = params.accumulation;
+  Object.assign(accumulationPass, { enabled, mode, decay, paint });
+  depthOfFieldPass.enabled = params.depthOfField.enabled;
+  depthOfFieldPass.aperture = params.depthOfField.aperture;
+  accumulationPass.reset();
+  postEffects.load(params.postEffects);
+  
+  // The controls are bound to the old values, so build them again
+  rebuildGUI();
+  recreateSystem();
+  setSettingsStatus('Loaded');
+}
+
+// Build the controls again from params
+function rebuildGUI() {
+  guiListenerRemovers.forEach(remove => remove());
+  gui.destroy();
+  Object.keys(curveFolders).forEach(type => delete curveFolders[type]);
+  Object.keys(curveWarnings).forEach(type => delete curveWarnings[type]);
+  postEffectFolders = [];
+  initGUI();
+}
+
 function initGUI() {
   gui = new GUI();
   
   // Main controls section
-  gui.add(params, 'numParticles', 10, 500, 1).name('Count').onChange(recreateSystem);
+  const countController = gui.add(params, 'numParticles', 10, MAX_PARTICLES[params.particleType], 1).name('Count').onChange(recreateSystem);
   gui.add(params, 'particleScatterRadius', 0, 5, 0.1).name('Scatter Radius').onChange(recreateSystem);
+  seedController = gui.add(params, 'seed').step(1).name('Seed').onFinishChange(setSeed);
+  gui.add({ reroll: () => setSeed(randomSeed()) }, 'reroll').name('Reroll Seed');
+  
+  // Playback of the simulation clock (also on the keyboard: Space, . and R)
+  playbackFolder = gui.addFolder('Playback');
+  playbackFolder.add(params.time, 'scale', 0, 4, 0.05).name('Time Scale');
+  playbackFolder.add(params.time, 'paused').name('Paused (Space)');
+  playbackFolder.add(params.time, 'reverse').name('Reverse (R)');
+  playbackFolder.add({ step: stepFrame }, 'step').name('Step Frame (.)');
   
   // Theme and rendering section
-  gui.add(params, 'currentTheme', ['dark', 'light']).name('Theme').onChange(applyThemeSettings);
-  gui.addColor(params, 'backgroundColor').name('Background').onChange(value => {
+  gui.add(params, 'currentTheme', ['dark', 'light']).name('Theme').onChange(theme => {
+    // Swap in the new theme's background, unless a background of its own was picked
+    const other = theme === 'dark' ? 'light' : 'dark';
+    if (params.backgroundColor.toLowerCase() === THEME_BACKGROUNDS[other]) {
+      params.backgroundColor = THEME_BACKGROUNDS[theme];
+      document.body.style.backgroundColor = params.backgroundColor;
+      backgroundController.updateDisplay();
+    }
+    applyThemeSettings();
+  });
+  const backgroundController = gui.addColor(params, 'backgroundColor').name('Background').onChange(value => {
     // Update CSS background color
     document.body.style.backgroundColor = value;
     applyThemeSettings();
@@ -1426,7 +1361,7 @@ function initGUI() {
   bloomFolder.close(); // Collapse by default
   bloomFolder.add(params, 'bloomStrength', 0, 3, 0.01).name('Strength').onChange(v => {
     params.darkBloomStrength = v;
-    if(params.currentTheme === 'dark') bloomPass.strength = v;
+    if(params.currentTheme === 'dark') applyParticleBloom();
   });
   bloomFolder.add(params, 'bloomRadius', 0, 1, 0.01).name('Radius').onChange(v => {
     params.darkBloomRadius = v;
@@ -1440,50 +1375,120 @@ function initGUI() {
     // No action needed, animate() will use the new setting immediately
   });
   
-  // Curve Options container
-  const curveOptionsFolder = gui.addFolder('Curve Options');
-  curveOptionsFolder.add(params, 'curveType', ['viviani', 'lorenz', 'juggling']).name('Curve Type').onChange(() => {
-    recreateSystem();
+  // Light theme ink and the halo that stands in for bloom
+  const lightThemeFolder = gui.addFolder('Light Theme');
+  lightThemeFolder.close();
+  const applyInk = () => {
+    if (particleSystem && params.currentTheme === 'light') particleSystem.applyTheme('light');
+  };
+  lightThemeFolder.add(params.lightTheme, 'shade', 0.1, 1, 0.01).name('Ink Shade').onChange(applyInk);
+  lightThemeFolder.add(params.lightTheme, 'saturation', 0, 2, 0.01).name('Ink Saturation').onChange(applyInk);
+  lightThemeFolder.add(params.lightTheme, 'haloStrength', 0, 3, 0.01).name('Halo Strength').onChange(applyParticleBloom);
+  lightThemeFolder.add(params.lightTheme, 'haloRadius', 0, 1, 0.01).name('Halo Radius').onChange(v => {
+    if (params.currentTheme === 'light') bloomPass.radius = v;
+  });
+  
+  // Long exposure (accumulation pass)
+  const exposureFolder = gui.addFolder('Long Exposure');
+  exposureFolder.close();
+  exposureFolder.add(params.accumulation, 'enabled').name('Enabled').onChange(v => {
+    accumulationPass.enabled = v;
+    accumulationPass.reset();
+  });
+  exposureFolder.add(params.accumulation, 'mode', { Lighten: 'lighten', Additive: 'additive' }).name('Mode').onChange(v => {
+    accumulationPass.mode = v;
+  });
+  exposureFolder.add(params.accumulation, 'decay', 0.5, 0.999, 0.001).name('Decay').onChange(v => {
+    accumulationPass.decay = v;
+  });
+  exposureFolder.add(params.accumulation, 'paint').name('Paint Mode').onChange(v => {
+    accumulationPass.paint = v;
+  });
+  exposureFolder.add({ clear: () => accumulationPass.reset() }, 'clear').name('Clear');
+  
+  // Depth of field (composer only)
+  const focusFolder = gui.addFolder('Depth of Field');
+  focusFolder.close();
+  focusFolder.add(params.depthOfField, 'enabled').name('Enabled').onChange(v => {
+    depthOfFieldPass.enabled = v;
+  });
+  focusFolder.add(params.depthOfField, 'aperture', 0, 5, 0.05).name('Aperture').onChange(v => {
+    depthOfFieldPass.aperture = v;
+  });
+  focusFolder.add(params.depthOfField, 'focusOffset', -50, 50, 0.1).name('Focus Offset');
+  focusFolder.add(params.depthOfField, 'autofocus').name('Autofocus');
+  focusFolder.add(params.depthOfField, 'particle').min(0).step(1).name('Focus Particle');
+  
+  // User-arranged stack of post effects after bloom (composer only)
+  postEffectsFolder = gui.addFolder('Post Effects');
+  postEffectsFolder.close();
+  const newEffect = { type: getPostEffectTypes()[0] };
+  const effectOptions = Object.fromEntries(getPostEffectTypes().map(type => [getPostEffect(type).label, type]));
+  postEffectsFolder.add(newEffect, 'type', effectOptions).name('Effect');
+  postEffectsFolder.add({ add: () => {
+    postEffects.add(newEffect.type);
+    buildPostEffectFolders();
+  } }, 'add').name('Add Effect');
+  buildPostEffectFolders();
+  
+  // Save and load everything above, plus the camera view
+  settingsFolder = gui.addFolder('Scene Settings');
+  settingsFolder.close();
+  settingsFolder.add({ save: saveSettings }, 'save').name('Save Settings…');
+  settingsFolder.add({ load: () => pickSettingsFile().then(loadSettings) }, 'load').name('Load Settings…');
+  settingsFolder.add(settingsFile, 'status').name('Status').disable();
+  
+  // Offline capture of a video or PNG sequence at a fixed frame rate
+  captureFolder = gui.addFolder('Capture');
+  captureFolder.close();
+  captureFolder.add(params.capture, 'format', { 'WebM Video': 'webm', 'PNG Sequence (ZIP)': 'png' }).name('Format');
+  captureFolder.add(params.capture, 'width', 16, 7680, 2).name('Width');
+  captureFolder.add(params.capture, 'height', 16, 4320, 2).name('Height');
+  captureFolder.add(params.capture, 'fps', 1, 120, 1).name('FPS');
+  captureFolder.add(params.capture, 'duration', 0.1, 120, 0.1).name('Duration (s)');
+  captureFolder.add(params.capture, 'alpha').name('Transparent Background');
+  captureFolder.add(params.capture, 'restart').name('Restart From Seed');
+  captureFolder.add({ start: captureAnimation }, 'start').name('Start Capture');
+  captureFolder.add({ cancel: () => { capture.cancelled = true; } }, 'cancel').name('Cancel Capture');
+  captureFolder.add(capture, 'progress').name('Progress').disable();
+  updateCaptureControls();
+  
+  // Still image export beyond screen resolution
+  exportFolder = gui.addFolder('Export PNG');
+  exportFolder.close();
+  exportFolder.add(params.export, 'width', 16, 16384, 2).name('Width');
+  exportFolder.add(params.export, 'height', 16, 16384, 2).name('Height');
+  exportFolder.add(params.export, 'alpha').name('Transparent Background');
+  exportFolder.add({ exportStill }, 'exportStill').name('Export PNG');
+  exportFolder.add(stillExport, 'progress').name('Progress').disable();
+  
+  // Curve Options container, built from the curve registry
+  curveOptionsFolder = gui.addFolder('Curve Options');
+  curveTypeController = addCurveTypeController();
+  getCurveTypes().forEach(buildCurveFolder);
+  
+  // Curves registered later (e.g. by third-party code) get their controls on the fly
+  const removeRegisteredListener = onCurveRegistered(type => {
+    if (curveFolders[type]) {
+      curveFolders[type].destroy();
+      delete curveFolders[type];
+    }
+    buildCurveFolder(type);
+    curveTypeController = curveTypeController.options(getCurveTypes());
+    setupCurveTypeController(curveTypeController);
     updateCurveParametersVisibility();
   });
   
-  // Viviani curve parameters
-  const vivianiController = curveOptionsFolder.add(params, 'vivianiA', 1, 10, 0.1).name('Curve Scale (a)').onChange(recreateSystem);
-  
-  // Lorenz Attractor parameters
-  const lorenzFolder = curveOptionsFolder.addFolder('Lorenz Attractor');
-  const sigmaController = lorenzFolder.add(params.lorenz, 'sigma', 5, 15, 0.1).name('Sigma (σ)').onChange(recreateSystem);
-  const rhoController = lorenzFolder.add(params.lorenz, 'rho', 20, 35, 0.1).name('Rho (ρ)').onChange(recreateSystem);
-  const betaController = lorenzFolder.add(params.lorenz, 'beta', 1, 4, 0.1).name('Beta (β)').onChange(recreateSystem);
-  const scaleController = lorenzFolder.add(params.lorenz, 'scale', 0.1, 3.0, 0.1).name('Scale').onChange(recreateSystem);
-  const timeStepController = lorenzFolder.add(params.lorenz, 'timeStep', 0.005, 0.02, 0.001).name('Time Step').onChange(recreateSystem);
-  const numPointsController = lorenzFolder.add(params.lorenz, 'numPoints', 1000, 5000, 100).name('Points').onChange(recreateSystem);
-  
-  // Juggling Pattern parameters
-  const jugglingFolder = curveOptionsFolder.addFolder('Juggling Pattern');
-  const ballsController = jugglingFolder.add(params.juggling, 'balls', 3, 7, 1).name('Number of Balls').onChange(recreateSystem);
-  const throwHeightController = jugglingFolder.add(params.juggling, 'throwHeight', 3, 15, 0.1).name('Throw Height').onChange(recreateSystem);
-  const handSeparationController = jugglingFolder.add(params.juggling, 'handSeparation', 2, 12, 0.1).name('Hand Separation').onChange(recreateSystem);
-  const throwAngleController = jugglingFolder.add(params.juggling, 'throwAngle', 0, 0.8, 0.01).name('Throw Angle').onChange(recreateSystem);
-  const gravityController = jugglingFolder.add(params.juggling, 'gravity', 5, 15, 0.1).name('Gravity').onChange(recreateSystem);
-  const jugglingScaleController = jugglingFolder.add(params.juggling, 'scale', 0.5, 2.0, 0.1).name('Scale').onChange(recreateSystem);
-  const jugglingPointsController = jugglingFolder.add(params.juggling, 'numPoints', 600, 2400, 100).name('Points').onChange(recreateSystem);
-  
-  // Function to update curve parameter visibility
-  function updateCurveParametersVisibility() {
-    const isViviani = params.curveType === 'viviani';
-    const isLorenz = params.curveType === 'lorenz';
-    const isJuggling = params.curveType === 'juggling';
-    
-    // Show/hide Viviani parameters
-    vivianiController.domElement.style.display = isViviani ? '' : 'none';
-    
-    // Show/hide Lorenz folder
-    lorenzFolder.domElement.style.display = isLorenz ? '' : 'none';
-    
-    // Show/hide Juggling folder
-    jugglingFolder.domElement.style.display = isJuggling ? '' : 'none';
-  }
+  // Values changed outside the controls (e.g. a picked image file) refresh the curve
+  const removeChangedListener = onCurveChanged(type => {
+    if (curveFolders[type]) {
+      curveFolders[type].controllers.forEach(c => c.updateDisplay());
+    }
+    if (params.curveType === type) {
+      recreateSystem();
+    }
+  });
+  guiListenerRemovers = [removeRegisteredListener, removeChangedListener];
   
   // Set initial visibility
   updateCurveParametersVisibility();
@@ -1491,10 +1496,22 @@ function initGUI() {
   // Particle Options container
   const particleOptionsFolder = gui.addFolder('Particle Options');
   particleOptionsFolder.add(params, 'particleType', ['glow', 'weldingSpark', 'comet']).name('Particle Type').onChange(() => {
+    // Keep the count within what the new particle type can draw
+    countController.max(MAX_PARTICLES[params.particleType]);
+    if (params.numParticles > MAX_PARTICLES[params.particleType]) {
+      params.numParticles = MAX_PARTICLES[params.particleType];
+      countController.updateDisplay();
+    }
     recreateSystem();
     updateParticleParametersVisibility();
   });
 
+  // Flow-field mode (common to all particle types, attractor curves only)
+  flowFieldFolder = particleOptionsFolder.addFolder('Flow Field');
+  flowFieldFolder.add(params.flowField, 'enabled').name('Live Flow Field').onChange(recreateSystem);
+  flowFieldFolder.add(params.flowField, 'speed', 0.1, 5, 0.1).name('Flow Speed');
+  updateCurveParametersVisibility();
+
   // Lifecycle settings (common to all particle types)
   const lifecycleFolder = particleOptionsFolder.addFolder('Lifecycle Settings');
   lifecycleFolder.close(); // Collapse by default
@@ -1513,11 +1530,12 @@ function initGUI() {
       particleSystem.updateBoldness();
     }
   });
-  glowFolder.add(params.glow, 'lineWidth', 0.1, 5.0, 0.1).name('Line Width').onChange(() => {
+  const glowWidthController = glowFolder.add(params.glow, 'lineWidth', 0.01, 5.0, 0.01).name('Line Width').onChange(() => {
     if (particleSystem && particleSystem.type === 'glow') {
       particleSystem.updateLineWidth();
     }
   });
+  addParticleBloomControls(glowFolder, 'glow', { trails: 'Bloom Trails' });
   
   // Welding Spark specific parameters
   const sparkFolder = particleOptionsFolder.addFolder('Welding Spark Particles');
@@ -1530,6 +1548,7 @@ function initGUI() {
     }
   });
   sparkFolder.add(params.weldingSpark, 'pathFollowing', 0, 1, 0.1).name('Path Following');
+  addParticleBloomControls(sparkFolder, 'weldingSpark', { sparks: 'Bloom Sparks' });
   
   // Comet specific parameters
   const cometFolder = particleOptionsFolder.addFolder('Comet Particles');
@@ -1539,7 +1558,7 @@ function initGUI() {
     }
   });
   cometFolder.add(params.comet, 'tailLength', 1, 50, 1).name('Tail Length').onChange(recreateSystem);
-  cometFolder.add(params.comet, 'tailWidth', 0.1, 10.0, 0.1).name('Tail Width').onChange(() => {
+  const cometWidthController = cometFolder.add(params.comet, 'tailWidth', 0.01, 10.0, 0.01).name('Tail Width').onChange(() => {
     if (particleSystem && particleSystem.type === 'comet') {
       particleSystem.updateCometParams();
     }
@@ -1565,6 +1584,26 @@ function initGUI() {
       particleSystem.updateColors();
     }
   });
+  addParticleBloomControls(cometFolder, 'comet', { heads: 'Bloom Heads', tails: 'Bloom Tails' });
+
+  // Ribbon trail settings (for glow and comet particles)
+  const trailFolder = particleOptionsFolder.addFolder('Trail Ribbons');
+  let previousWidthUnits = params.trails.widthUnits;
+  trailFolder.add(params.trails, 'widthUnits', ['pixels', 'world']).name('Width Units').onChange(value => {
+    if (value === previousWidthUnits) return;
+    // Keep the trails the same width on screen at the orbit target
+    const scale = value === 'world' ? worldUnitsPerPixel() : 1 / worldUnitsPerPixel();
+    previousWidthUnits = value;
+    glowWidthController.setValue(params.glow.lineWidth * scale);
+    cometWidthController.setValue(params.comet.tailWidth * scale);
+    if (particleSystem) particleSystem.updateTrailStyle();
+  });
+  trailFolder.add(params.trails, 'taper', 0, 1, 0.05).name('Taper').onChange(() => {
+    if (particleSystem) particleSystem.updateTrailStyle();
+  });
+  trailFolder.add(params.trails, 'softness', 0, 1, 0.05).name('Edge Softness').onChange(() => {
+    if (particleSystem) particleSystem.updateTrailStyle();
+  });
 
   // Color settings (for glow particles)
   const colorFolder = particleOptionsFolder.addFolder('Color (Dark Theme)');
@@ -1595,6 +1634,9 @@ function initGUI() {
     });
   }
   
+  particleOptionsFolder.add(params, 'useSimulationWorker').name('Simulate in Worker').onChange(recreateSystem);
+  particleOptionsFolder.add({ benchmark: benchmarkCurveSampling }, 'benchmark').name('Benchmark Sampling (Console)');
+  
   // Function to update particle parameter visibility
   function updateParticleParametersVisibility() {
     const isGlow = params.particleType === 'glow';
@@ -1605,6 +1647,7 @@ function initGUI() {
     glowFolder.domElement.style.display = isGlow ? '' : 'none';
     sparkFolder.domElement.style.display = isSpark ? '' : 'none';
     cometFolder.domElement.style.display = isComet ? '' : 'none';
+    trailFolder.domElement.style.display = isGlow || isComet ? '' : 'none';
     
     // Color folder is only for glow particles
     colorFolder.domElement.style.display = isGlow ? '' : 'none';
@@ -1652,12 +1695,25 @@ function init() {
   composer.renderTarget1.texture.format = THREE.RGBAFormat;
   composer.renderTarget2.texture.format = THREE.RGBAFormat;
   
-  const renderPass = new RenderPass(scene, camera);
+  renderPass = new RenderPass(scene, camera);
   renderPass.clearColor = new THREE.Color(0x000000);
   renderPass.clearAlpha = 0;
   composer.addPass(renderPass);
-
-  bloomPass = new UnrealBloomPass(
+  
+  // Blur before accumulating, so out-of-focus streaks build up as soft bands of light
+  depthOfFieldPass = new DepthOfFieldPass(scene, camera, { aperture: params.depthOfField.aperture });
+  depthOfFieldPass.enabled = params.depthOfField.enabled;
+  composer.addPass(depthOfFieldPass);
+  
+  // Accumulate before bloom, so the streaks glow like the particles do
+  accumulationPass = new AccumulationPass(params.accumulation);
+  accumulationPass.enabled = params.accumulation.enabled;
+  composer.addPass(accumulationPass);
+
+  // Blooms everything, or only particle parts on the bloom layer (see applyParticleBloom)
+  bloomPass = new SelectiveBloomPass(
+    scene,
+    camera,
     new THREE.Vector2(window.innerWidth, window.innerHeight),
     params.bloomStrength,
     params.bloomRadius,
@@ -1669,12 +1725,21 @@ function init() {
   bloomPass.clearAlpha = 0;
   composer.addPass(bloomPass);
   
+  // Light theme only (see applyThemeSettings)
+  inkPass = new InkPass();
+  inkPass.enabled = false;
+  composer.addPass(inkPass);
+  
+  // The user's post effects come last
+  postEffects = new PostEffectStack(composer, params.postEffects);
+  
   // Store initial bloom settings as dark mode defaults
   params.darkBloomStrength = params.bloomStrength;
   params.darkBloomRadius = params.bloomRadius;
   params.darkBloomThreshold = params.bloomThreshold;
 
   // Create the initial curve and particle system using recreateSystem
+  writeSeedToURL();
   recreateSystem();
   
   // Apply initial theme settings
@@ -1684,6 +1749,7 @@ function init() {
   initGUI();
 
   window.addEventListener('resize', onWindowResize, false);
+  window.addEventListener('keydown', onKeyDown);
   console.log("Three.js scene initialized with multi-particle system support");
 }
 
@@ -1694,26 +1760,291 @@ function onWindowResize() {
   composer.setSize(window.innerWidth, window.innerHeight);
 }
 
-function animate() {
-  requestAnimationFrame(animate);
-  
-  // Update the current particle system
-  if (particleSystem) {
-    particleSystem.update();
+// Simulation time to advance this animation frame, in frames at REFERENCE_FPS (negative
+// when playing backwards), for a frame that took seconds of real time
+function simulationDelta(seconds) {
+  const { scale, paused, reverse } = params.time;
+  if (paused) {
+    // Single steps always go forwards
+    const steps = pendingSteps;
+    pendingSteps = 0;
+    return steps * scale;
+  }
+  return Math.min(seconds, MAX_FRAME_SECONDS) * REFERENCE_FPS * scale * (reverse ? -1 : 1);
+}
+
+function togglePause() {
+  params.time.paused = !params.time.paused;
+  updatePlaybackControls();
+}
+
+function toggleReverse() {
+  params.time.reverse = !params.time.reverse;
+  updatePlaybackControls();
+}
+
+// Pause, and move the particles on by a single frame
+function stepFrame() {
+  params.time.paused = true;
+  pendingSteps++;
+  updatePlaybackControls();
+}
+
+function updatePlaybackControls() {
+  if (playbackFolder) playbackFolder.controllers.forEach(c => c.updateDisplay());
+}
+
+// Playback keys: Space pauses, . steps one frame, R reverses
+function onKeyDown(event) {
+  // Leave keys typed into the controls alone
+  const target = event.target;
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+  if (event.code === 'Space') {
+    event.preventDefault();
+    togglePause();
+  } else if (event.key === '.') {
+    stepFrame();
+  } else if (event.key === 'r' || event.key === 'R') {
+    toggleReverse();
+  }
+}
+
+// Render the scene (through the composer unless rendering directly). Opaque frames
+// paint the background color in, for exports with no page behind them; otherwise the
+// canvas stays transparent over the page background.
+function renderFrame(opaque = false) {
+  const clearColor = opaque ? params.backgroundColor : 0x000000;
+  const clearAlpha = opaque ? 1 : 0;
+  renderer.setClearColor(clearColor, clearAlpha);
+  if (inkPass.enabled) {
+    // Only the light the ink takes away goes down the chain; the ink pass subtracts it
+    // from the background at the end
+    renderPass.clearColor.set(0x000000);
+    renderPass.clearAlpha = 0;
+    accumulationPass.backgroundAlpha = 0;
+    inkPass.background.set(params.backgroundColor);
+    inkPass.backgroundAlpha = clearAlpha;
+  } else if (accumulationPass.enabled && !params.useDirectRendering) {
+    // Only the light accumulates; the background is painted in under the exposure
+    renderPass.clearColor.set(0x000000);
+    renderPass.clearAlpha = 0;
+    accumulationPass.background.set(clearColor);
+    accumulationPass.backgroundAlpha = clearAlpha;
+  } else {
+    renderPass.clearColor.set(clearColor);
+    renderPass.clearAlpha = clearAlpha;
   }
   
-  controls.update();
-  
-  // Clear with transparency before rendering
-  renderer.setClearColor(0x000000, 0);
+  if (particleSystem) particleSystem.beforeRender();
+  if (depthOfFieldPass.enabled) updateFocus();
+  postEffects.beforeRender(renderer);
   
   // Use direct rendering or composer based on setting
-  if (params.useDirectRendering) {
+  if (rendersDirectly()) {
     renderer.render(scene, camera);
   } else {
     composer.render();
   }
 }
 
+// Focus the depth of field on the orbit target, which recreateSystem puts at the curve's
+// center, or with autofocus on the chosen particle, moved by the focus offset
+function updateFocus() {
+  const { autofocus, particle, focusOffset } = params.depthOfField;
+  const point = (autofocus && particleSystem && particleSystem.particlePosition(particle, focusPoint))
+    || focusPoint.copy(controls.target);
+  camera.getWorldDirection(viewDirection);
+  depthOfFieldPass.focusDistance = Math.max(0.01, point.sub(camera.position).dot(viewDirection) + focusOffset);
+}
+
+// Render at width x height pixels, whatever the window size, until the returned
+// function puts the window size back
+function useRenderSize(width, height) {
+  const pixelRatio = renderer.getPixelRatio();
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false); // Leave the canvas's size on the page alone
+  composer.setPixelRatio(1);
+  composer.setSize(width, height);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+  return () => {
+    renderer.setPixelRatio(pixelRatio);
+    composer.setPixelRatio(pixelRatio);
+    onWindowResize();
+  };
+}
+
+function setCaptureProgress(text) {
+  capture.progress = text;
+  if (captureFolder) captureFolder.controllers.forEach(c => c.updateDisplay());
+}
+
+function updateCaptureControls() {
+  if (!captureFolder) return;
+  captureFolder.controllers.forEach(controller => {
+    if (controller.property === 'start') controller.show(!capture.active);
+    else if (controller.property === 'cancel') controller.show(capture.active);
+    else if (controller.property !== 'progress') controller.enable(!capture.active);
+  });
+}
+
+// Render params.capture.duration seconds of animation offline. The simulation moves on
+// exactly 1/fps of a second (times the time scale) per frame, however long the frame
+// takes to render, and every frame goes through the full render, bloom included, at the
+// capture resolution before it is recorded.
+async function captureAnimation() {
+  if (capture.active || stillExport.active) return;
+  const { format, width, height, fps, duration, alpha, restart } = params.capture;
+  const name = `${params.curveType}-${params.seed}`;
+  const canvas = renderer.domElement;
+  if (format === 'webm' && !WebMRecorder.isSupported()) {
+    setCaptureProgress('WebM recording is not supported here; try a PNG sequence');
+    return;
+  }
+  const recorder = format === 'webm'
+    ? new WebMRecorder(canvas, { fps })
+    : new PNGSequenceRecorder(canvas, { name });
+  
+  capture.active = true;
+  capture.cancelled = false;
+  updateCaptureControls();
+  const restoreSize = useRenderSize(width, height);
+  const frames = Math.max(1, Math.round(duration * fps));
+  const dt = (REFERENCE_FPS / fps) * params.time.scale * (params.time.reverse ? -1 : 1);
+  try {
+    if (restart) rebuildParticleSystem();
+    accumulationPass.frames = REFERENCE_FPS / fps;
+    recorder.start();
+    for (let i = 0; i < frames && !capture.cancelled; i++) {
+      await recorder.beforeFrame(i);
+      await particleSystem.updateExactly(dt);
+      postEffects.advance(REFERENCE_FPS / fps);
+      controls.update();
+      renderFrame(!alpha);
+      await recorder.addFrame(i);
+      setCaptureProgress(`Frame ${i + 1} / ${frames}`);
+    }
+    if (capture.cancelled) {
+      recorder.cancel();
+      setCaptureProgress('Cancelled');
+    } else {
+      setCaptureProgress('Encoding…');
+      downloadBlob(await recorder.finish(), `${name}.${recorder.extension}`);
+      setCaptureProgress(`Saved ${frames} frames`);
+    }
+  } catch (error) {
+    console.warn(error.message);
+    recorder.cancel();
+    setCaptureProgress(`Failed: ${error.message}`);
+  } finally {
+    restoreSize();
+    capture.active = false;
+    lastFrameTime = null; // Don't count the capture as one long frame
+    updateCaptureControls();
+  }
+}
+
+function setExportProgress(text) {
+  stillExport.progress = text;
+  if (exportFolder) exportFolder.controllers.forEach(c => c.updateDisplay());
+}
+
+// How far bloom spreads light, in pixels, rounded up to a multiple of 32: a tile's margin
+// must be this wide for light beyond the tile to reach it. Each of UnrealBloomPass's
+// mips, from half size down to 1/32, blurs the mip before it by up to its kernel radius
+// in its own texels, so the reaches add up (to 578 pixels with three's kernels).
+function exportBloomMargin() {
+  const reach = bloomPass.separableBlurMaterials.reduce(
+    (sum, material, i) => sum + material.defines.KERNEL_RADIUS * 2 ** (i + 1), 0);
+  return Math.ceil(reach / 32) * 32;
+}
+
+// Render the current frame at params.export's size, which can be far beyond what fits
+// on screen or in one render target, and save it as a PNG. Each tile is rendered with a
+// camera view offset onto its part of the full image, plus a margin that is cropped off
+// again, so bloom spills across the seams as it would in one piece. The bloom's blur is
+// measured in tile pixels, though, not in parts of the whole image: its glow is as many
+// pixels wide as on screen, so it looks tighter the larger the image.
+async function exportStill() {
+  if (stillExport.active || capture.active) return;
+  const { width, height, alpha } = params.export;
+  const margin = rendersDirectly() ? 0 : exportBloomMargin();
+  const tileSize = EXPORT_TILE_SIZE + 2 * margin;
+  const columns = Math.ceil(width / EXPORT_TILE_SIZE);
+  const rows = Math.ceil(height / EXPORT_TILE_SIZE);
+  
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const context = output.getContext('2d');
+  
+  stillExport.active = true;
+  exportFolder.controllers.forEach(c => c.property === 'progress' || c.disable());
+  // A long exposure is built up over many frames at screen size and can't be rendered
+  // again tile by tile, so stills show the current frame on its own
+  const accumulating = accumulationPass.enabled;
+  accumulationPass.enabled = false;
+  // Blur as much as on the whole image, not on each tile
+  depthOfFieldPass.imageHeight = height;
+  const restoreSize = useRenderSize(tileSize, tileSize);
+  camera.aspect = width / height;
+  try {
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const x = column * EXPORT_TILE_SIZE;
+        const y = row * EXPORT_TILE_SIZE;
+        camera.setViewOffset(width, height, x - margin, y - margin, tileSize, tileSize);
+        postEffects.setView(width, height, x - margin, y - margin, tileSize, tileSize);
+        renderFrame(!alpha);
+        // Copy the tile out straight away, before the browser clears the drawing buffer
+        const w = Math.min(EXPORT_TILE_SIZE, width - x);
+        const h = Math.min(EXPORT_TILE_SIZE, height - y);
+        context.drawImage(renderer.domElement, margin, margin, w, h, x, y, w, h);
+        setExportProgress(`Tile ${row * columns + column + 1} / ${rows * columns}`);
+        // Let the page show the progress
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    setExportProgress('Encoding…');
+    downloadBlob(await canvasToBlob(output), `${params.curveType}-${params.seed}-${width}x${height}.png`);
+    setExportProgress(`Saved ${width} x ${height}`);
+  } catch (error) {
+    console.warn(error.message);
+    setExportProgress(`Failed: ${error.message}`);
+  } finally {
+    camera.clearViewOffset();
+    postEffects.clearView();
+    accumulationPass.enabled = accumulating;
+    depthOfFieldPass.imageHeight = null;
+    restoreSize();
+    stillExport.active = false;
+    lastFrameTime = null;
+    exportFolder.controllers.forEach(c => c.property === 'progress' || c.enable());
+  }
+}
+
+function animate(now = performance.now()) {
+  requestAnimationFrame(animate);
+  // Captures and exports render frames themselves, at their own pace
+  if (capture.active || stillExport.active) return;
+  
+  const seconds = lastFrameTime === null ? 0 : Math.max(0, now - lastFrameTime) / 1000;
+  lastFrameTime = now;
+  
+  // Update the current particle system
+  if (particleSystem) {
+    particleSystem.update(simulationDelta(seconds));
+  }
+  // The exposure fades and the film grain moves with real time, whatever the playback speed
+  const frames = Math.min(seconds, MAX_FRAME_SECONDS) * REFERENCE_FPS;
+  accumulationPass.frames = frames;
+  postEffects.advance(frames);
+  
+  controls.update();
+  renderFrame();
+}
+
 init();
 animate(); 
\ No newline at end of file
@@ -0,0 +1,291 @@
+// Point path curve: recorded trajectories (motion capture, GPS tracks) loaded from CSV
+// or JSON, resampled by arc length, optionally smoothed and fitted into the scene
+//
+// Accepted data:
+//   CSV   - rows on separate lines, fields separated by semicolons (with decimal commas),
+//           tabs, commas or spaces, whichever the first row uses. A header row may name
+//           the columns (x, y, z, t/time, or lat, lon, ele for GPS); without one the
+//           columns are x, y, z and t.
+//   JSON  - an array of [x, y, z, t] arrays or of objects with the same keys as the CSV
+//           header, or an object holding such an array (e.g. { "points": [...] }).
+// z and t are optional. Timestamps are seconds or date strings; when every point has
+// one, points are put in time order and tracks are split where recording paused.
+import * as THREE from 'three';
+import { registerCurve, notifyCurveChanged } from './core/curveRegistry.js';
+
+// Header names and object keys recognised for each field
+const FIELD_ALIASES = {
+  x: ['x', 'px', 'posx'],
+  y: ['y', 'py', 'posy'],
+  z: ['z', 'pz', 'posz'],
+  t: ['t', 'time', 'timestamp', 'seconds', 'date', 'datetime'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  ele: ['ele', 'elevation', 'alt', 'altitude'],
+};
+const POSITIONAL_FIELDS = ['x', 'y', 'z', 't'];
+
+const EARTH_RADIUS = 6371000; // Metres
+
+// A short drone flight that ends near where it took off
+const DEFAULT_DATA = JSON.stringify([
+  [0, 0, 0, 0], [15, 4, -5, 3], [25, 10, 5, 6], [20, 14, 18, 9], [5, 10, 22, 12],
+  [-10, 6, 15, 15], [-18, 2, 2, 18], [-12, 0, -10, 21], [1, 0.5, -2, 24],
+]);
+
+// Whether each path of the last generated curve is closed, for the per-path `closed`
+let lastClosed = [];
+
+function fieldForName(name) {
+  const key = String(name).trim().toLowerCase();
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(key));
+}
+
+// Timestamps in seconds, from numbers or date strings
+function parseTime(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (text === '') return undefined;
+  const number = Number(text);
+  if (Number.isFinite(number)) return number;
+  const date = Date.parse(text);
+  return Number.isFinite(date) ? date / 1000 : NaN;
+}
+
+// Turn named field values into a record, checking they are numbers
+function createRecord(fields, describe) {
+  const record = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    record[field] = field === 't' ? parseTime(value) : Number(value);
+    if (!Number.isFinite(record[field])) {
+      throw new SyntaxError(`${describe()}: "${value}" is not a valid ${field}`);
+    }
+  });
+  const hasPosition = ('x' in record && 'y' in record) || ('lat' in record && 'lon' in record);
+  if (!hasPosition) throw new SyntaxError(`${describe()}: needs x and y (or lat and lon)`);
+  return record;
+}
+
+function parseJSONRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SyntaxError(`Invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    data = data && Object.values(data).find(Array.isArray);
+    if (!data) throw new SyntaxError('The JSON holds no array of points');
+  }
+  return data.map((item, index) => {
+    const fields = {};
+    if (Array.isArray(item)) {
+      item.forEach((value, column) => { fields[POSITIONAL_FIELDS[column]] = value; });
+    } else if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([name, value]) => {
+        const field = fieldForName(name);
+        if (field) fields[field] = value;
+      });
+    }
+    return createRecord(fields, () => `Point ${index + 1}`);
+  });
+}
+
+// The field separator the first row uses. Semicolon-separated files write decimals with
+// commas, so a semicolon wins over a comma in the same row.
+function detectDelimiter(row) {
+  return [';', '\t', ','].find(delimiter => row.includes(delimiter)) || /\s+/;
+}
+
+function parseCSVRecords(text) {
+  const rows = text.split(/\r?\n/).map(row => row.trim()).filter(row => row && !row.startsWith('#'));
+  const delimiter = rows.length > 0 ? detectDelimiter(rows[0]) : ',';
+  const split = row => row.split(delimiter).map(cell => {
+    const trimmed = cell.trim();
+    return delimiter === ';' ? trimmed.replace(/^(-?\d*),(\d+)$/, '$1.$2') : trimmed;
+  });
+
+  // A first row with words in it names the columns
+  let columns = POSITIONAL_FIELDS;
+  let firstRow = 0;
+  const header = rows.length > 0 ? split(rows[0]) : [];
+  if (header.some(cell => cell !== '' && !Number.isFinite(Number(cell)))) {
+    columns = header.map(fieldForName);
+    firstRow = 1;
+  }
+
+  const records = [];
+  for (let i = firstRow; i < rows.length; i++) {
+    const fields = {};
+    split(rows[i]).forEach((cell, column) => {
+      if (columns[column]) fields[columns[column]] = cell;
+    });
+    records.push(createRecord(fields, () => `Row ${i + 1}`));
+  }
+  return records;
+}
+
+// Scene-space points (y up) from records. GPS coordinates are projected to metres around
+// the first fix, with north into the screen and elevation up.
+function recordsToPoints(records, upAxis) {
+  const origin = records[0];
+  const latitudeScale = Math.cos(THREE.MathUtils.degToRad(origin.lat ?? 0));
+  return records.map(record => {
+    if ('lat' in record) {
+      return new THREE.Vector3(
+        THREE.MathUtils.degToRad(record.lon - origin.lon) * latitudeScale * EARTH_RADIUS,
+        record.ele ?? 0,
+        -THREE.MathUtils.degToRad(record.lat - origin.lat) * EARTH_RADIUS
+      );
+    }
+    const z = record.z ?? 0;
+    // z-up data (x east, y north, z up) turns into three.js's y-up frame
+    return upAxis === 'z' ? new THREE.Vector3(record.x, z, -record.y) : new THREE.Vector3(record.x, record.y, z);
+  });
+}
+
+// Parse the data into tracks of points, ordering by time and splitting at pauses longer
+// than splitGap seconds when every point has a timestamp
+function parseTracks({ data, upAxis, splitGap }) {
+  const text = String(data).trim();
+  if (text === '') throw new SyntaxError('No point data. Paste CSV or JSON, or load a file.');
+  const records = text.startsWith('[') || text.startsWith('{') ? parseJSONRecords(text) : parseCSVRecords(text);
+  if (records.length < 2) throw new RangeError('A path needs at least two points');
+
+  const timed = records.every(record => 't' in record);
+  if (timed) records.sort((a, b) => a.t - b.t);
+  const points = recordsToPoints(records, upAxis);
+
+  const tracks = [[]];
+  points.forEach((point, i) => {
+    if (timed && splitGap > 0 && i > 0 && records[i].t - records[i - 1].t > splitGap) tracks.push([]);
+    const track = tracks[tracks.length - 1];
+    // Repeated positions (e.g. a GPS receiver standing still) add nothing to the path
+    if (track.length === 0 || !track[track.length - 1].equals(point)) track.push(point);
+  });
+  const usable = tracks.filter(track => track.length >= 2);
+  if (usable.length === 0) throw new RangeError('The points don\'t move, so there is no path to follow');
+  return usable;
+}
+
+// Total length of a track, including the closing segment when closed
+function trackLength(track, closed) {
+  let length = 0;
+  for (let i = 1; i < track.length; i++) length += track[i - 1].distanceTo(track[i]);
+  return closed ? length + track[track.length - 1].distanceTo(track[0]) : length;
+}
+
+// Points evenly spaced by arc length along a polyline (without the end point if closed)
+function resampleTrack(track, count, closed) {
+  const vertices = closed ? [...track, track[0]] : track;
+  const total = trackLength(track, closed);
+  const divisions = closed ? count : count - 1;
+  const points = [];
+  let segment = 0;
+  let segmentStart = 0;
+  for (let i = 0; i < count; i++) {
+    const distance = (i / divisions) * total;
+    while (segment < vertices.length - 2 &&
+      segmentStart + vertices[segment].distanceTo(vertices[segment + 1]) < distance) {
+      segmentStart += vertices[segment].distanceTo(vertices[segment + 1]);
+      segment++;
+    }
+    const segmentLength = vertices[segment].distanceTo(vertices[segment + 1]);
+    const along = segmentLength > 0 ? Math.min(1, (distance - segmentStart) / segmentLength) : 0;
+    points.push(vertices[segment].clone().lerp(vertices[segment + 1], along));
+  }
+  return points;
+}
+
+// Gaussian smoothing over neighbouring samples (sigma counted in samples). Closed tracks
+// wrap around; open tracks narrow the window towards their ends so the end points stay
+// where they were recorded.
+function smoothTrack(points, sigma, closed) {
+  if (sigma <= 0) return points;
+  const radius = Math.ceil(sigma * 3);
+  const n = points.length;
+  return points.map((point, i) => {
+    const reach = closed ? radius : Math.min(radius, i, n - 1 - i);
+    const sum = new THREE.Vector3();
+    let weightSum = 0;
+    for (let k = -reach; k <= reach; k++) {
+      const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+      sum.addScaledVector(points[(i + k + n) % n], weight);
+      weightSum += weight;
+    }
+    return sum.divideScalar(weightSum);
+  });
+}
+
+function generatePointPaths(values) {
+  const tracks = parseTracks(values);
+
+  // A track closes when its ends are near each other compared to its length
+  const closedFlags = tracks.map(track =>
+    track.length > 2 && track[0].distanceTo(track[track.length - 1]) <= values.closeTolerance * trackLength(track, false)
+  );
+
+  // Share the samples between tracks by length, then stretch vertically and smooth
+  const lengths = tracks.map((track, i) => trackLength(track, closedFlags[i]));
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+  const paths = tracks.map((track, i) => {
+    const count = Math.max(8, Math.round(values.numPoints * lengths[i] / totalLength));
+    const points = resampleTrack(track, count, closedFlags[i]);
+    points.forEach(point => { point.y *= values.verticalScale; });
+    // Smoothing is a percentage of the track, so it doesn't depend on the sample count
+    return smoothTrack(points, (values.smoothing / 100) * count, closedFlags[i]);
+  });
+
+  // Normalise into the scene: centred on the origin, `size` units across the longest side
+  const bounds = new THREE.Box3();
+  paths.forEach(points => points.forEach(point => bounds.expandByPoint(point)));
+  const extent = bounds.getSize(new THREE.Vector3());
+  const scale = values.size / Math.max(extent.x, extent.y, extent.z, 1e-6);
+  const center = bounds.getCenter(new THREE.Vector3());
+  paths.forEach(points => points.forEach(point => point.sub(center).multiplyScalar(scale)));
+
+  lastClosed = closedFlags;
+  return paths;
+}
+
+// Let the user pick a CSV or JSON file; its contents replace the point data
+function pickDataFile(values) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.csv,.tsv,.txt,.json,text/csv,application/json';
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      values.data = text;
+      notifyCurveChanged('pointPath');
+    });
+  });
+  input.click();
+}
+
+export function registerPointPathCurve() {
+  registerCurve('pointPath', {
+    label: 'Recorded Path',
+    closed: (values, pathIndex) => lastClosed[pathIndex] ?? false,
+    shareParticlesByLength: true,
+    parameters: {
+      data: { value: DEFAULT_DATA, label: 'Point Data' },
+      loadFile: { value: pickDataFile, label: 'Load CSV/JSON File…' },
+      upAxis: { value: 'y', options: ['y', 'z'], label: 'Up Axis' },
+      splitGap: { value: 0, min: 0, max: 600, step: 1, label: 'Split at Gaps (s)' },
+      numPoints: { value: 2000, min: 100, max: 10000, step: 100, label: 'Points' },
+      smoothing: { value: 2, min: 0, max: 10, step: 0.1, label: 'Smoothing (%)' },
+      closeTolerance: { value: 0.05, min: 0, max: 0.5, step: 0.01, label: 'Close Tolerance' },
+      verticalScale: { value: 1, min: 0, max: 10, step: 0.1, label: 'Vertical Scale' },
+      size: { value: 40, min: 5, max: 80, step: 0.5, label: 'Size' },
+    },
+    generate: generatePointPaths,
+    // Look from slightly above, far enough away to fit the normalised bounds
+    framing: values => ({
+      target: new THREE.Vector3(0, 0, 0),
+      position: new THREE.Vector3(0, values.size * 0.3, values.size * 0.9 + 5),
+    }),
+  });
+}
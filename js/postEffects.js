@@ -0,0 +1,415 @@
+// Post effects - screen-space passes the user can stack after bloom
+//
+// Each effect type is registered with a definition object:
+//   {
+//     label: 'Vignette',                  // GUI folder title (defaults to the type)
+//     parameters: {                       // Parameter schema, one GUI control each, as
+//       darkness: { value: 1, min: 0, max: 2, step: 0.01, label: 'Darkness' },  // for curves
+//     },
+//     fragmentShader: `...`,              // GLSL after EFFECT_HEADER; reads tDiffuse at vUv
+//     uniforms(values),                   // Returns { name: value } for the shader's own
+//                                         // uniforms, called again whenever values change
+//   }
+//
+// Effects work out screen positions with imageUv() and offsets with renderOffset(), both
+// in UVs of the whole image, so they come out the same when a still export renders the
+// image in tiles (see PostEffectStack.setView). Colors are straight alpha, as the rest
+// of the composer keeps them, so transparent backgrounds stay transparent.
+//
+// The stack itself is a list of { type, enabled, values } entries, plain data that is
+// saved with the scene settings. PostEffectStack keeps the composer's passes in step with it.
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { createRandom, randomState } from './core/random.js';
+
+const EFFECT_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const EFFECT_HEADER = `
+  uniform sampler2D tDiffuse;
+  uniform vec4 uView;      // Part of the whole image being rendered: offset and size in its UVs
+  uniform vec2 uImageSize; // Whole image size in pixels
+  uniform float uTime;     // Frames (at 60 fps) since the stack was created
+  varying vec2 vUv;
+
+  // Position in the whole image, from (0, 0) at the bottom left to (1, 1)
+  vec2 imageUv() {
+    return uView.xy + vUv * uView.zw;
+  }
+
+  // An offset in whole-image UVs, as an offset in this render's UVs
+  vec2 renderOffset(vec2 offset) {
+    return offset / uView.zw;
+  }
+
+  float luminance(vec3 color) {
+    return dot(color, vec3(0.2126, 0.7152, 0.0722));
+  }
+
+  // Red from uv + offset, green from uv and blue from uv - offset, each with its own alpha
+  vec4 splitChannels(vec2 uv, vec2 offset) {
+    vec4 red = texture2D(tDiffuse, uv + offset);
+    vec4 green = texture2D(tDiffuse, uv);
+    vec4 blue = texture2D(tDiffuse, uv - offset);
+    vec3 light = vec3(red.r * red.a, green.g * green.a, blue.b * blue.a);
+    float alpha = max(max(red.a, green.a), blue.a);
+    return vec4(alpha > 0.0 ? light / alpha : vec3(0.0), alpha);
+  }
+`;
+
+const effects = new Map();
+
+export function registerPostEffect(type, definition) {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new TypeError('Post effect type must be a non-empty string');
+  }
+  if (!definition || typeof definition.fragmentShader !== 'string') {
+    throw new TypeError(`Post effect "${type}" needs a fragmentShader`);
+  }
+  effects.set(type, {
+    label: type,
+    parameters: {},
+    uniforms: () => ({}),
+    ...definition,
+  });
+}
+
+export function getPostEffect(type) {
+  return effects.get(type);
+}
+
+export function getPostEffectTypes() {
+  return [...effects.keys()];
+}
+
+// Default values from an effect type's parameter schema
+export function getDefaultPostEffectValues(type) {
+  const effect = effects.get(type);
+  if (!effect) return {};
+  return Object.fromEntries(Object.entries(effect.parameters).map(([name, schema]) => [name, schema.value]));
+}
+
+function createEffectPass(effect, values) {
+  const uniforms = {
+    tDiffuse: { value: null },
+    uView: { value: new THREE.Vector4(0, 0, 1, 1) },
+    uImageSize: { value: new THREE.Vector2(1, 1) },
+    uTime: { value: 0 },
+  };
+  Object.entries(effect.uniforms(values)).forEach(([name, value]) => {
+    uniforms[name] = { value };
+  });
+  return new ShaderPass(new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader: EFFECT_VERTEX_SHADER,
+    fragmentShader: EFFECT_HEADER + effect.fragmentShader,
+    blending: THREE.NoBlending,
+    depthTest: false,
+    depthWrite: false,
+  }));
+}
+
+export class PostEffectStack {
+  // Effect passes go after every pass already in composer. entries is the saved list
+  // (see the top of this file), which the stack edits in place.
+  constructor(composer, entries) {
+    this.composer = composer;
+    this.entries = entries;
+    this.passes = new Map(); // Entry -> ShaderPass
+    this.time = 0;
+    this.view = null; // Set while rendering part of a larger image
+    this.drawingBufferSize = new THREE.Vector2();
+    this.sync();
+  }
+
+  // Append an effect of type with its default values, returning its entry
+  add(type) {
+    const entry = { type, enabled: true, values: getDefaultPostEffectValues(type) };
+    this.entries.push(entry);
+    this.sync();
+    return entry;
+  }
+
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index < 0) return;
+    this.entries.splice(index, 1);
+    this.sync();
+  }
+
+  // Move an entry offset places along the stack (negative is earlier)
+  move(entry, offset) {
+    const index = this.entries.indexOf(entry);
+    const target = THREE.MathUtils.clamp(index + offset, 0, this.entries.length - 1);
+    if (index < 0 || target === index) return;
+    this.entries.splice(index, 1);
+    this.entries.splice(target, 0, entry);
+    this.sync();
+  }
+
+  // Switch to another saved list of entries (e.g. from loaded scene settings)
+  load(entries) {
+    this.entries = entries;
+    this.sync();
+  }
+
+  // Apply an entry's changed values and enabled state
+  update(entry) {
+    const pass = this.passes.get(entry);
+    if (!pass) return;
+    pass.enabled = entry.enabled;
+    const uniforms = getPostEffect(entry.type).uniforms(entry.values);
+    Object.entries(uniforms).forEach(([name, value]) => {
+      pass.uniforms[name].value = value;
+    });
+  }
+
+  // Put the composer's effect passes in the order of the entries, creating and
+  // disposing of passes as entries come and go
+  sync() {
+    this.passes.forEach(pass => this.composer.removePass(pass));
+    const passes = new Map();
+    this.entries.forEach(entry => {
+      const effect = getPostEffect(entry.type);
+      if (!effect) {
+        // Kept in the list, so saving again doesn't lose it
+        console.warn(`Unknown post effect: ${entry.type}`);
+        return;
+      }
+      // Values added to the schema since the entry was saved get their defaults
+      entry.values = entry.values || {};
+      Object.entries(getDefaultPostEffectValues(entry.type)).forEach(([name, value]) => {
+        if (!(name in entry.values)) entry.values[name] = value;
+      });
+      const pass = this.passes.get(entry) || createEffectPass(effect, entry.values);
+      passes.set(entry, pass);
+      this.composer.addPass(pass);
+    });
+    this.passes.forEach((pass, entry) => {
+      if (!passes.has(entry)) pass.dispose();
+    });
+    this.passes = passes;
+    this.passes.forEach((pass, entry) => this.update(entry));
+  }
+
+  // Move time-based effects (film grain) on by frames at 60 fps
+  advance(frames) {
+    this.time += frames;
+  }
+
+  // Render only part of a fullWidth x fullHeight image from here on, with the same
+  // arguments as PerspectiveCamera.setViewOffset
+  setView(fullWidth, fullHeight, x, y, width, height) {
+    this.view = { fullWidth, fullHeight, x, y, width, height };
+  }
+
+  clearView() {
+    this.view = null;
+  }
+
+  // Bring the shared uniforms up to date; call before each composer render
+  beforeRender(renderer) {
+    const size = renderer.getDrawingBufferSize(this.drawingBufferSize);
+    const view = this.view || { fullWidth: size.x, fullHeight: size.y, x: 0, y: 0, width: size.x, height: size.y };
+    this.passes.forEach(pass => {
+      // View offsets count y down from the top, UVs up from the bottom
+      pass.uniforms.uView.value.set(
+        view.x / view.fullWidth,
+        1 - (view.y + view.height) / view.fullHeight,
+        view.width / view.fullWidth,
+        view.height / view.fullHeight
+      );
+      pass.uniforms.uImageSize.value.set(view.fullWidth, view.fullHeight);
+      pass.uniforms.uTime.value = this.time;
+    });
+  }
+
+  dispose() {
+    this.passes.forEach(pass => {
+      this.composer.removePass(pass);
+      pass.dispose();
+    });
+    this.passes.clear();
+  }
+}
+
+// Soft blotches of dust for the lens dirt effect, the same for the same pattern number
+const dirtTextures = new Map();
+
+function getDirtTexture(pattern) {
+  if (dirtTextures.has(pattern)) return dirtTextures.get(pattern);
+  const size = 256;
+  const random = createRandom(randomState(pattern, 'lensDirt'));
+  const light = new Float32Array(size * size);
+  for (let spot = 0; spot < 80; spot++) {
+    const centerX = random() * size;
+    const centerY = random() * size;
+    // Mostly small specks, with the odd large smudge
+    const radius = 2 + random() * random() * 40;
+    const strength = 0.15 + random() * 0.5;
+    for (let y = Math.max(0, Math.floor(centerY - radius)); y < Math.min(size, centerY + radius); y++) {
+      for (let x = Math.max(0, Math.floor(centerX - radius)); x < Math.min(size, centerX + radius); x++) {
+        const distance = Math.hypot(x - centerX, y - centerY) / radius;
+        if (distance < 1) light[y * size + x] += strength * (1 - distance * distance);
+      }
+    }
+  }
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    const value = Math.min(255, Math.round(light[i] * 255));
+    data.set([value, value, value, 255], i * 4);
+  }
+  const texture = new THREE.DataTexture(data, size, size);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  dirtTextures.set(pattern, texture);
+  return texture;
+}
+
+const TONE_MAPPING_OPERATORS = ['aces', 'reinhard', 'linear'];
+
+// The built-in effects, in the order they are offered
+export function registerBuiltinPostEffects() {
+  registerPostEffect('chromaticAberration', {
+    label: 'Chromatic Aberration',
+    parameters: {
+      amount: { value: 0.006, min: 0, max: 0.05, step: 0.001, label: 'Amount' },
+    },
+    // Red and blue pulled apart more and more towards the corners
+    fragmentShader: `
+      uniform float uAmount;
+
+      void main() {
+        vec2 fromCenter = imageUv() - 0.5;
+        gl_FragColor = splitChannels(vUv, renderOffset(fromCenter * uAmount));
+      }
+    `,
+    uniforms: values => ({ uAmount: values.amount }),
+  });
+
+  registerPostEffect('vignette', {
+    label: 'Vignette',
+    parameters: {
+      offset: { value: 1, min: 0, max: 2, step: 0.01, label: 'Offset' },
+      darkness: { value: 1, min: 0, max: 2, step: 0.01, label: 'Darkness' },
+    },
+    fragmentShader: `
+      uniform float uOffset;
+      uniform float uDarkness;
+
+      void main() {
+        vec4 texel = texture2D(tDiffuse, vUv);
+        vec2 fromCenter = (imageUv() - 0.5) * uOffset;
+        gl_FragColor = vec4(mix(texel.rgb, vec3(1.0 - uDarkness), dot(fromCenter, fromCenter)), texel.a);
+      }
+    `,
+    uniforms: values => ({ uOffset: values.offset, uDarkness: values.darkness }),
+  });
+
+  registerPostEffect('filmGrain', {
+    label: 'Film Grain',
+    parameters: {
+      intensity: { value: 0.3, min: 0, max: 1, step: 0.01, label: 'Intensity' },
+      size: { value: 1, min: 1, max: 8, step: 0.5, label: 'Grain Size (px)' },
+      animated: { value: true, label: 'Animated' },
+    },
+    // Noise on the light itself, so the background stays clean (and transparent)
+    fragmentShader: `
+      uniform float uIntensity;
+      uniform float uSize;
+      uniform float uAnimated;
+
+      float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+      }
+
+      void main() {
+        vec4 texel = texture2D(tDiffuse, vUv);
+        vec2 cell = floor(imageUv() * uImageSize / uSize);
+        float frame = uAnimated > 0.5 ? floor(uTime) : 0.0;
+        float grain = hash(cell + fract(frame * 0.6180339) * 97.0) - 0.5;
+        gl_FragColor = vec4(max(texel.rgb * (1.0 + grain * 2.0 * uIntensity), 0.0), texel.a);
+      }
+    `,
+    uniforms: values => ({ uIntensity: values.intensity, uSize: values.size, uAnimated: values.animated ? 1 : 0 }),
+  });
+
+  registerPostEffect('toneMapping', {
+    label: 'Tone Mapping',
+    parameters: {
+      operator: { value: 'aces', options: TONE_MAPPING_OPERATORS, label: 'Operator' },
+      exposure: { value: 1, min: 0, max: 4, step: 0.01, label: 'Exposure' },
+    },
+    fragmentShader: `
+      uniform float uOperator;
+      uniform float uExposure;
+
+      // Krzysztof Narkowicz's fit of the ACES filmic curve
+      vec3 aces(vec3 color) {
+        return clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), 0.0, 1.0);
+      }
+
+      void main() {
+        vec4 texel = texture2D(tDiffuse, vUv);
+        vec3 color = texel.rgb * uExposure;
+        if (uOperator < 0.5) color = aces(color);
+        else if (uOperator < 1.5) color = color / (1.0 + color);
+        gl_FragColor = vec4(color, texel.a);
+      }
+    `,
+    uniforms: values => ({
+      uOperator: Math.max(0, TONE_MAPPING_OPERATORS.indexOf(values.operator)),
+      uExposure: values.exposure,
+    }),
+  });
+
+  registerPostEffect('rgbShift', {
+    label: 'RGB Shift',
+    parameters: {
+      amount: { value: 0.002, min: 0, max: 0.02, step: 0.0005, label: 'Amount' },
+      angle: { value: 0, min: 0, max: 360, step: 1, label: 'Angle (°)' },
+    },
+    // The same offset all over the image, unlike chromatic aberration
+    fragmentShader: `
+      uniform vec2 uOffset;
+
+      void main() {
+        gl_FragColor = splitChannels(vUv, renderOffset(uOffset));
+      }
+    `,
+    uniforms: values => {
+      const angle = THREE.MathUtils.degToRad(values.angle);
+      return { uOffset: new THREE.Vector2(Math.cos(angle), Math.sin(angle)).multiplyScalar(values.amount) };
+    },
+  });
+
+  registerPostEffect('lensDirt', {
+    label: 'Lens Dirt',
+    parameters: {
+      intensity: { value: 1.5, min: 0, max: 5, step: 0.05, label: 'Intensity' },
+      pattern: { value: 1, min: 1, max: 100, step: 1, label: 'Pattern' },
+    },
+    // Light, bloom included, shows up the dust where it falls
+    fragmentShader: `
+      uniform sampler2D tDirt;
+      uniform float uIntensity;
+
+      void main() {
+        vec4 texel = texture2D(tDiffuse, vUv);
+        float dirt = texture2D(tDirt, imageUv()).r;
+        vec3 light = texel.rgb * texel.a;
+        vec3 added = light * dirt * uIntensity;
+        float alpha = clamp(texel.a + luminance(added), 0.0, 1.0);
+        gl_FragColor = vec4(alpha > 0.0 ? (light + added) / alpha : vec3(0.0), alpha);
+      }
+    `,
+    uniforms: values => ({ tDirt: getDirtTexture(values.pattern), uIntensity: values.intensity }),
+  });
+}
@@ -0,0 +1,75 @@
+// Scene settings files: the GUI's params (curve, particles, colors, bloom, post effects...)
+// and the camera view, saved as JSON and loaded again later.
+//
+// Loading merges a file into the current params instead of replacing them, so a file
+// saved before a setting existed keeps that setting's current value, and values of the
+// wrong type (e.g. from a hand-edited file) are skipped.
+
+const SETTINGS_VERSION = 1;
+
+// JSON text for params and view ({ position, target } camera vectors)
+export function settingsToJSON(params, view) {
+  return JSON.stringify({
+    version: SETTINGS_VERSION,
+    params,
+    view: { position: view.position.toArray(), target: view.target.toArray() },
+  }, null, 2);
+}
+
+// Parse JSON text from settingsToJSON into { params, view }, where view holds position
+// and target as [x, y, z] arrays (or is null). Throws if the text isn't scene settings.
+export function parseSettings(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Settings file is not valid JSON: ${error.message}`);
+  }
+  if (!isPlainObject(data) || !isPlainObject(data.params)) {
+    throw new Error('Settings file has no params');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    console.warn(`Settings file version ${data.version} is newer than this page supports (${SETTINGS_VERSION})`);
+  }
+  const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+  const view = isPlainObject(data.view) && isVector(data.view.position) && isVector(data.view.target)
+    ? data.view
+    : null;
+  return { params: data.params, view };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function sameKind(a, b) {
+  return Array.isArray(a) ? Array.isArray(b) : typeof a === typeof b && !isPlainObject(b);
+}
+
+// Copy source's values into target: objects are merged key by key, and anything else
+// replaces the target's value if it has the same type (or the target has none yet)
+export function mergeSettings(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    const current = target[key];
+    if (isPlainObject(current) && isPlainObject(value)) {
+      mergeSettings(current, value);
+    } else if (current === undefined || current === null || sameKind(current, value)) {
+      target[key] = structuredClone(value);
+    }
+  });
+  return target;
+}
+
+// Let the user pick a settings file; resolves with its text
+export function pickSettingsFile() {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (file) resolve(file.text());
+    });
+    input.click();
+  });
+}
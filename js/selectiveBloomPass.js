@@ -0,0 +1,74 @@
+// UnrealBloomPass that can bloom only some objects: those on a render layer.
+//
+// While selective is false, everything blooms, exactly as with UnrealBloomPass. While it
+// is true, the scene's objects on the bloom layer are rendered on their own, the bloom
+// is worked out from that render, and only the bloom is then added over the frame, with
+// the same additive blend as the full-frame bloom, so transparent backgrounds stay as
+// they were. The objects stay on layer 0 too, so the frame itself (and direct rendering)
+// still draws them all.
+//
+// The selective render is of the current frame only, so streaks built up by the long
+// exposure pass glow only while everything blooms.
+import * as THREE from 'three';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+
+export const BLOOM_LAYER = 1;
+
+export class SelectiveBloomPass extends UnrealBloomPass {
+  constructor(scene, camera, resolution, strength, radius, threshold) {
+    super(resolution, strength, radius, threshold);
+    this.scene = scene;
+    this.camera = camera;
+    this.selective = false;
+    this.source = new THREE.WebGLRenderTarget(resolution.x, resolution.y, { type: THREE.HalfFloatType });
+    this.sourceClearColor = new THREE.Color(0x000000);
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    if (!this.selective) {
+      super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+      return;
+    }
+
+    // Only the objects on the bloom layer, over a transparent background
+    const layers = this.camera.layers.mask;
+    const clearColor = renderer.getClearColor(this.sourceClearColor);
+    const clearAlpha = renderer.getClearAlpha();
+    this.camera.layers.set(BLOOM_LAYER);
+    renderer.setClearColor(0x000000, 0);
+    renderer.setRenderTarget(this.source);
+    renderer.clear();
+    renderer.render(this.scene, this.camera);
+    this.camera.layers.mask = layers;
+    renderer.setClearColor(clearColor, clearAlpha);
+
+    // Bloom them; this also blends the bloom into the source render, which is dropped,
+    // and leaves the bloom alone in renderTargetsHorizontal[0] for blendMaterial
+    const renderToScreen = this.renderToScreen;
+    this.renderToScreen = false;
+    super.render(renderer, writeBuffer, this.source, deltaTime, maskActive);
+    this.renderToScreen = renderToScreen;
+
+    if (renderToScreen) {
+      this.fsQuad.material = this.basic;
+      this.basic.map = readBuffer.texture;
+      renderer.setRenderTarget(null);
+      renderer.clear();
+      this.fsQuad.render(renderer);
+    }
+    // Add the bloom over the whole frame
+    this.fsQuad.material = this.blendMaterial;
+    renderer.setRenderTarget(renderToScreen ? null : readBuffer);
+    this.fsQuad.render(renderer);
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+    this.source.setSize(width, height);
+  }
+
+  dispose() {
+    super.dispose();
+    this.source.dispose();
+  }
+}
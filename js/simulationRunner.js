@@ -0,0 +1,169 @@
+// Runs a particle simulation (see core/particleSimulation.js) in a Web Worker when it can,
+// so the GUI and camera controls stay smooth at high particle counts, and otherwise
+// steps it on the main thread.
+//
+// The worker keeps its own copy of the simulation. Two sets of output arrays go back and
+// forth as transferables: the particle system draws from one while the worker fills the
+// other. (SharedArrayBuffer would avoid the hand-over, but needs the page served with
+// cross-origin isolation headers.) The rest of the worker's state comes back copied with
+// each step, so the main thread can take over where it left off if the worker fails.
+
+// Copies of a simulation's output arrays, to lend to the worker
+function cloneOutputs(outputs) {
+  const copies = {};
+  Object.keys(outputs).forEach(name => { copies[name] = outputs[name].slice(); });
+  return copies;
+}
+
+// Bring a simulation up to a step the worker took: the state it sent with the step, and
+// the outputs that step filled. Arrays are copied into place, since the simulation's
+// random generator works on its own state array.
+function restoreState(simulation, state, outputs) {
+  const target = simulation.state;
+  Object.keys(state).forEach(name => {
+    if (ArrayBuffer.isView(target[name])) {
+      target[name].set(state[name]);
+    } else {
+      target[name] = state[name];
+    }
+  });
+  const ownOutputs = simulation.outputs;
+  Object.keys(ownOutputs).forEach(name => ownOutputs[name].set(outputs[name]));
+}
+
+export class SimulationRunner {
+  // Flow-field simulations always run here: their vector fields can't be sent to a worker
+  constructor(particleType, simulation, { useWorker = true } = {}) {
+    this.particleType = particleType;
+    this.simulation = simulation;
+    this.worker = null;
+    // The arrays the particle system draws from
+    this.current = simulation.outputs;
+    if (useWorker && !simulation.flows && typeof Worker !== 'undefined') {
+      this.startWorker();
+    }
+  }
+
+  startWorker() {
+    try {
+      this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn(`Simulating particles on the main thread: ${error.message}`);
+      return;
+    }
+    // The simulation here keeps its own arrays, in case the worker fails later
+    this.current = cloneOutputs(this.simulation.outputs);
+    this.spare = cloneOutputs(this.simulation.outputs);
+    this.received = null;
+    // The state that came with the worker's newest arrays
+    this.receivedState = null;
+    this.pending = false;
+    // Time (settings.dt) from steps the worker was too busy to take, for its next step
+    this.skippedTime = 0;
+    // Callbacks waiting for the worker's next message (see stepExactly)
+    this.waiting = [];
+
+    this.worker.addEventListener('message', ({ data }) => {
+      this.received = data.outputs;
+      this.receivedState = data.state;
+      this.pending = false;
+      this.wakeWaiting();
+    });
+    // e.g. browsers without module workers, or pages opened from the file system
+    this.worker.addEventListener('error', event => {
+      event.preventDefault();
+      console.warn(`Simulating particles on the main thread: ${event.message || 'the simulation worker failed'}`);
+      this.stopWorker();
+    });
+
+    const paths = this.simulation.paths.map(({ positions, tangents, samples, closed }) => ({ positions, tangents, samples, closed }));
+    this.worker.postMessage({ type: 'init', particleType: this.particleType, paths, state: this.simulation.state });
+  }
+
+  stopWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    // The simulation here hasn't moved since the worker took over: carry on from the
+    // worker's last step instead, so the particles don't jump back
+    if (this.receivedState) {
+      restoreState(this.simulation, this.receivedState, this.received || this.current);
+      this.received = null;
+    }
+    this.current = this.simulation.outputs;
+    this.wakeWaiting();
+  }
+
+  // Resolves once the worker sends its next frame, or stops
+  nextMessage() {
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  wakeWaiting() {
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  // Draw from the worker's newest arrays, if it sent any. Returns them, or null.
+  takeReceived() {
+    if (!this.received) return null;
+    // The arrays drawn until now have been uploaded, so they can go back to the worker
+    this.spare = this.current;
+    this.current = this.received;
+    this.received = null;
+    return this.current;
+  }
+
+  // Lend the spare arrays to the worker for it to fill with the next step
+  postStep(settings) {
+    this.pending = true;
+    this.worker.postMessage({ type: 'step', settings, outputs: this.spare }, Object.values(this.spare).map(array => array.buffer));
+    this.spare = null;
+  }
+
+  // Step the simulation with the given settings. Returns the arrays to draw from when
+  // there is a new frame to upload, or null while the worker is still busy; the time it
+  // was busy for is added to its next step.
+  step(settings) {
+    if (!this.worker) {
+      this.simulation.step(settings);
+      return this.current;
+    }
+
+    const outputs = this.takeReceived();
+    if (!this.pending) {
+      const dt = settings.dt + this.skippedTime;
+      this.skippedTime = 0;
+      this.postStep({ ...settings, dt });
+    } else {
+      this.skippedTime += settings.dt;
+    }
+    return outputs;
+  }
+
+  // Take exactly one step with the given settings and resolve with the arrays to draw
+  // from once it is done, for offline rendering where no frame may be skipped. A step
+  // the worker is already taking finishes first.
+  async stepExactly(settings) {
+    if (this.worker) {
+      this.skippedTime = 0;
+      while (this.worker && this.pending) await this.nextMessage();
+    }
+    if (!this.worker) {
+      this.simulation.step(settings);
+      return this.current;
+    }
+    this.takeReceived();
+    this.postStep(settings);
+    await this.nextMessage();
+    // If the worker failed meanwhile, the step is taken here instead
+    return this.worker ? this.takeReceived() : this.stepExactly(settings);
+  }
+
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.wakeWaiting();
+    }
+  }
+}
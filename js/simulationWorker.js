@@ -0,0 +1,24 @@
+// Simulation worker: steps one particle simulation off the main thread (see
+// SimulationRunner). Each step fills the arrays the main thread lends it with the new
+// state and hands them straight back, so the main thread only has to upload them.
+import { restoreSimulation } from './core/particleSimulation.js';
+
+let simulation = null;
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'init') {
+    simulation = restoreSimulation(data.particleType, data.paths, data.state);
+  } else if (data.type === 'step') {
+    simulation.step(data.settings);
+    const outputs = simulation.outputs;
+    Object.keys(outputs).forEach(name => data.outputs[name].set(outputs[name]));
+    // A copy of the rest of the state (where the particles are along their paths, spark
+    // velocities, the random generator...), for the main thread to carry on from if the
+    // worker fails
+    const state = {};
+    Object.keys(simulation.state).forEach(name => {
+      if (!(name in outputs)) state[name] = simulation.state[name];
+    });
+    self.postMessage({ outputs: data.outputs, state }, Object.values(data.outputs).map(array => array.buffer));
+  }
+});
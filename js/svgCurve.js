@@ -0,0 +1,104 @@
+// SVG path curve: a pasted path `d` string (or a whole SVG file) becomes the paths the
+// particles follow, one per subpath, scaled and centred in the view
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { registerCurve, notifyCurveChanged } from './core/curveRegistry.js';
+import { fitOutlinesToView, outlineFraming, sampleOutlinePaths } from './core/outlines.js';
+
+const DEPTH_MODES = ['flat', 'extruded', 'helix'];
+
+// A heart drawn with arcs and quadratic curves
+const DEFAULT_PATH = 'M 10,30 A 20,20 0,0,1 50,30 A 20,20 0,0,1 90,30 Q 90,60 50,90 Q 10,60 10,30 Z';
+
+// Whether each path of the last generated curve is closed, for the per-path `closed`
+let lastClosed = [];
+
+const svgLoader = new SVGLoader();
+
+// Parse SVG markup, or a bare path `d` string, into three.js paths.
+// Transforms in the markup are applied by the loader.
+function parseSVG(source) {
+  const text = source.trim();
+  const markup = text.startsWith('<')
+    ? text
+    : `<svg xmlns="http://www.w3.org/2000/svg"><path d="${text.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"/></svg>`;
+  const subPaths = [];
+  svgLoader.parse(markup).paths.forEach(shapePath => {
+    shapePath.subPaths.forEach(subPath => {
+      if (subPath.curves.length > 0 && subPath.getLength() > 0) subPaths.push(subPath);
+    });
+  });
+  if (subPaths.length === 0) {
+    throw new Error('No drawable path found. Paste a path d string such as "M 0 0 L 10 10" or SVG markup.');
+  }
+  return subPaths;
+}
+
+// Lift the fitted outlines into 3D. Extruded outlines get a front and a back copy;
+// helix outlines climb through the depth, winding `helixTurns` times round closed ones.
+function outlinesToScene(outlines, closedFlags, { depthMode, depth, helixTurns }) {
+  const paths = [];
+  outlines.forEach((outline, index) => {
+    const closed = closedFlags[index];
+    if (depthMode === 'extruded') {
+      [-depth / 2, depth / 2].forEach(z => {
+        paths.push({ points: outline.map(point => new THREE.Vector3(point.x, point.y, z)), closed });
+      });
+    } else if (depthMode === 'helix') {
+      const turns = closed ? helixTurns : 1;
+      const points = [];
+      for (let turn = 0; turn < turns; turn++) {
+        outline.forEach((point, i) => {
+          const progress = (turn + i / (closed ? outline.length : outline.length - 1)) / turns;
+          points.push(new THREE.Vector3(point.x, point.y, depth * (progress - 0.5)));
+        });
+      }
+      paths.push({ points, closed: false });
+    } else {
+      paths.push({ points: outline.map(point => new THREE.Vector3(point.x, point.y, 0)), closed });
+    }
+  });
+  return paths;
+}
+
+// Let the user pick an SVG file; its markup replaces the path data
+function pickSVGFile(values) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.svg,image/svg+xml';
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      values.pathData = text;
+      notifyCurveChanged('svg');
+    });
+  });
+  input.click();
+}
+
+export function registerSVGCurve() {
+  registerCurve('svg', {
+    label: 'SVG Path',
+    closed: (values, pathIndex) => lastClosed[pathIndex] ?? false,
+    shareParticlesByLength: true,
+    parameters: {
+      pathData: { value: DEFAULT_PATH, label: 'Path Data' },
+      loadFile: { value: pickSVGFile, label: 'Load SVG File…' },
+      numPoints: { value: 1500, min: 100, max: 5000, step: 100, label: 'Points' },
+      size: { value: 36, min: 5, max: 60, step: 0.5, label: 'Size' },
+      depthMode: { value: 'flat', options: DEPTH_MODES, label: 'Depth' },
+      depth: { value: 8, min: 0, max: 40, step: 0.5, label: 'Depth Amount' },
+      helixTurns: { value: 3, min: 1, max: 12, step: 1, label: 'Helix Turns' },
+    },
+    // One point list per subpath (two when extruded)
+    generate: values => {
+      const samples = sampleOutlinePaths(parseSVG(values.pathData), values.numPoints);
+      const outlines = fitOutlinesToView(samples.map(sample => sample.points), values.size);
+      const paths = outlinesToScene(outlines, samples.map(sample => sample.closed), values);
+      lastClosed = paths.map(path => path.closed);
+      return paths.map(path => path.points);
+    },
+    framing: values => outlineFraming(values.size),
+  });
+}
@@ -0,0 +1,68 @@
+// Text curve: the particles trace the glyph outlines of a typed word, using the
+// bundled Helvetiker typeface (assets/fonts, MgOpen license)
+import * as THREE from 'three';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { registerCurve } from './core/curveRegistry.js';
+import { fitOutlinesToView, outlineFraming, sampleOutlinePaths } from './core/outlines.js';
+
+const FONT_URL = 'assets/fonts/helvetiker_regular.typeface.json';
+
+// The font loads once, on first use
+let fontLoading = null;
+
+function loadFont() {
+  if (!fontLoading) {
+    fontLoading = new FontLoader().loadAsync(FONT_URL).catch(() => {
+      fontLoading = null; // Let a later attempt try again
+      throw new Error(`Could not load the font "${FONT_URL}"`);
+    });
+  }
+  return fontLoading;
+}
+
+// Every outline and hole of every glyph, as closed paths
+function glyphContours(font, text) {
+  const contours = [];
+  font.generateShapes(text, 100).forEach(shape => {
+    [shape, ...shape.holes].forEach(contour => {
+      if (contour.curves.length === 0 || contour.getLength() === 0) return;
+      contour.autoClose = true; // Glyph outlines don't repeat their start point
+      contours.push(contour);
+    });
+  });
+  return contours;
+}
+
+export function registerTextCurve() {
+  registerCurve('text', {
+    label: 'Text',
+    closed: true,
+    shareParticlesByLength: true,
+    parameters: {
+      text: { value: 'LIGHT', label: 'Text' },
+      numPoints: { value: 3000, min: 200, max: 10000, step: 100, label: 'Points' },
+      size: { value: 40, min: 5, max: 80, step: 0.5, label: 'Size' },
+      depth: { value: 0, min: 0, max: 10, step: 0.1, label: 'Depth Wave' },
+    },
+    // Resolves once the font has loaded, with one point list per glyph contour
+    generate: values => loadFont().then(font => {
+      const contours = glyphContours(font, values.text);
+      if (contours.length === 0) {
+        throw new Error('Type some text with visible characters');
+      }
+      const samples = sampleOutlinePaths(contours, values.numPoints);
+      // Font outlines point y up; the fitting expects it down, as in images and SVG
+      const outlines = fitOutlinesToView(
+        samples.map(sample => sample.points.map(point => ({ x: point.x, y: -point.y }))),
+        values.size
+      );
+      // An optional wave across the text gives it some depth
+      return outlines.map(outline => outline.map(point => new THREE.Vector3(
+        point.x,
+        point.y,
+        values.depth * Math.sin((point.x / values.size) * Math.PI * 2)
+      )));
+    }),
+    framing: values => outlineFraming(values.size),
+  });
+}
@@ -0,0 +1,168 @@
+// Camera-facing ribbon trails, drawn for many particles in a single draw call
+//
+// Every particle owns `trailLength` consecutive vertices (head first) in one shared
+// position buffer, filled by the particle simulation. Each pair of neighbouring
+// vertices is drawn as an instanced quad that the vertex shader widens across the
+// segment, either in screen pixels or in world units facing the camera. The width
+// tapers from head to tail, and the fragment shader (supplied by the particle system)
+// can soften the ribbon's edges with ribbonEdge().
+import * as THREE from 'three';
+
+const RIBBON_VERTEX_SHADER = `
+  uniform float uTrailLength;
+  uniform float uWidth;
+  uniform float uPixelUnits; // 1.0: uWidth is in pixels, 0.0: in world units
+  uniform float uTaper;
+  uniform vec2 uResolution;
+  attribute vec3 instanceStart;
+  attribute vec3 instanceEnd;
+  attribute vec3 colorStart;
+  attribute vec3 colorEnd;
+  attribute float lifecycleStart;
+  attribute float lifecycleEnd;
+  attribute float trailIndexStart;
+  attribute float trailIndexEnd;
+  varying vec3 vColor;
+  varying float vLifecycle;
+  varying float vTrail;
+  varying float vEdge;
+
+  void main() {
+    // The segment from one trail's last vertex to the next trail's head isn't drawn
+    if (trailIndexStart > uTrailLength - 1.5) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      return;
+    }
+
+    // position.x picks the segment's start (0) or end (1), position.y the side (-1 or 1)
+    float isEnd = position.x;
+    vTrail = mix(trailIndexStart, trailIndexEnd, isEnd) / max(1.0, uTrailLength - 1.0);
+    vColor = mix(colorStart, colorEnd, isEnd);
+    vLifecycle = mix(lifecycleStart, lifecycleEnd, isEnd);
+    vEdge = position.y;
+    float halfWidth = 0.5 * uWidth * (1.0 - uTaper * vTrail);
+
+    vec4 startView = modelViewMatrix * vec4(instanceStart, 1.0);
+    vec4 endView = modelViewMatrix * vec4(instanceEnd, 1.0);
+    vec4 pointView = isEnd > 0.5 ? endView : startView;
+
+    if (uPixelUnits > 0.5) {
+      // Offset perpendicular to the segment on screen
+      vec4 startClip = projectionMatrix * startView;
+      vec4 endClip = projectionMatrix * endView;
+      vec2 screenDirection = (endClip.xy / endClip.w - startClip.xy / startClip.w) * uResolution;
+      vec2 side = length(screenDirection) > 1e-6 ? normalize(vec2(-screenDirection.y, screenDirection.x)) : vec2(0.0);
+      vec4 clip = projectionMatrix * pointView;
+      clip.xy += side * position.y * halfWidth * 2.0 / uResolution * clip.w;
+      gl_Position = clip;
+    } else {
+      // Offset across the segment in view space, facing the camera
+      vec3 side = cross(endView.xyz - startView.xyz, pointView.xyz);
+      side = length(side) > 1e-6 ? normalize(side) : vec3(0.0);
+      gl_Position = projectionMatrix * vec4(pointView.xyz + side * position.y * halfWidth, 1.0);
+    }
+  }
+`;
+
+// Declarations for ribbon fragment shaders: vColor, vLifecycle, vTrail (0 at the head,
+// 1 at the tail) and ribbonEdge(), which fades out towards the ribbon's sides
+export const RIBBON_FRAGMENT_HEADER = `
+  uniform float uSoftness;
+  varying vec3 vColor;
+  varying float vLifecycle;
+  varying float vTrail;
+  varying float vEdge;
+
+  float ribbonEdge() {
+    return 1.0 - smoothstep(1.0 - max(uSoftness, 0.001), 1.0, abs(vEdge));
+  }
+`;
+
+// An instanced attribute pair reading each vertex's value as the start of a segment
+// and the next vertex's value as its end
+function setSegmentAttributes(geometry, name, array, itemSize) {
+  const buffer = new THREE.InstancedInterleavedBuffer(array, itemSize, 1);
+  geometry.setAttribute(`${name}Start`, new THREE.InterleavedBufferAttribute(buffer, itemSize, 0));
+  geometry.setAttribute(`${name}End`, new THREE.InterleavedBufferAttribute(buffer, itemSize, itemSize));
+  return buffer;
+}
+
+export class TrailRibbons {
+  // positions (3 per vertex) and lifecycleAlphas (1 per vertex) are the arrays the
+  // particle simulation fills. fragmentShader must start with RIBBON_FRAGMENT_HEADER;
+  // uniforms are its extra uniforms.
+  constructor(count, trailLength, { positions, lifecycleAlphas, fragmentShader, uniforms = {} }) {
+    this.count = count;
+    this.trailLength = trailLength;
+    const vertexCount = count * trailLength;
+    this.positions = positions;
+    this.colors = new Float32Array(vertexCount * 3);
+    this.lifecycleAlphas = lifecycleAlphas;
+    const trailIndices = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) trailIndices[i] = i % trailLength;
+
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, -1, 0, 0, 1, 0, 1, -1, 0, 1, 1, 0], 3));
+    geometry.setIndex([0, 2, 1, 2, 3, 1]);
+    this.positionBuffer = setSegmentAttributes(geometry, 'instance', this.positions, 3).setUsage(THREE.DynamicDrawUsage);
+    this.colorBuffer = setSegmentAttributes(geometry, 'color', this.colors, 3);
+    this.lifecycleBuffer = setSegmentAttributes(geometry, 'lifecycle', this.lifecycleAlphas, 1).setUsage(THREE.DynamicDrawUsage);
+    setSegmentAttributes(geometry, 'trailIndex', trailIndices, 1);
+    geometry.instanceCount = Math.max(0, vertexCount - 1);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTrailLength: { value: trailLength },
+        uWidth: { value: 1.0 },
+        uPixelUnits: { value: 1.0 },
+        uTaper: { value: 0.0 },
+        uSoftness: { value: 0.5 },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        ...uniforms,
+      },
+      vertexShader: RIBBON_VERTEX_SHADER,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide, // Quads face either way depending on the direction of travel
+    });
+
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.frustumCulled = false; // The trails move every frame, so their bounds would go stale
+  }
+
+  setTrailColor(index, color) {
+    for (let v = index * this.trailLength; v < (index + 1) * this.trailLength; v++) {
+      color.toArray(this.colors, v * 3);
+    }
+    this.colorBuffer.needsUpdate = true;
+  }
+
+  // Ribbon width (pixels or world units), taper towards the tail (0-1) and edge softness (0-1)
+  setStyle({ width, widthUnits, taper, softness }) {
+    const uniforms = this.material.uniforms;
+    uniforms.uWidth.value = width;
+    uniforms.uPixelUnits.value = widthUnits === 'pixels' ? 1.0 : 0.0;
+    uniforms.uTaper.value = taper;
+    uniforms.uSoftness.value = softness;
+  }
+
+  // Draw from these trail positions and per-vertex lifecycle alphas (new arrays, or the
+  // current ones with new contents), uploading them on the next render
+  setArrays(positions, lifecycleAlphas) {
+    this.positions = this.positionBuffer.array = positions;
+    this.lifecycleAlphas = this.lifecycleBuffer.array = lifecycleAlphas;
+    this.positionBuffer.needsUpdate = true;
+    this.lifecycleBuffer.needsUpdate = true;
+  }
+
+  // Canvas size in CSS pixels, for widths in pixels
+  setResolution(resolution) {
+    this.material.uniforms.uResolution.value.copy(resolution);
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,90 @@
+// Minimal ZIP writer for exported image sequences. Files are stored uncompressed: PNGs
+// are compressed already, and storing keeps it a single pass with no dependencies.
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in MS-DOS format, as ZIP headers store them
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Collects files one at a time (so a long sequence never needs two copies in memory)
+// and builds the archive as a Blob
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.date = dosDateTime(new Date());
+  }
+
+  // Add a file: name is its path in the archive, data a Uint8Array
+  add(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    const entry = { nameBytes, crc: crc32(data), size: data.length, offset: this.offset };
+    this.entries.push(entry);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header signature
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // Stored, no compression
+    header.setUint16(10, this.date.time, true);
+    header.setUint16(12, this.date.day, true);
+    header.setUint32(14, entry.crc, true);
+    header.setUint32(18, entry.size, true);
+    header.setUint32(22, entry.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true); // No extra field
+    this.parts.push(header, nameBytes, data);
+    this.offset += 30 + nameBytes.length + data.length;
+  }
+
+  // The finished archive
+  toBlob() {
+    const directoryStart = this.offset;
+    let directorySize = 0;
+    const directory = [];
+    this.entries.forEach(entry => {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // Central directory header signature
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true); // Version needed to extract
+      header.setUint16(8, 0x0800, true); // UTF-8 names
+      header.setUint16(10, 0, true); // Stored
+      header.setUint16(12, this.date.time, true);
+      header.setUint16(14, this.date.day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.size, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.nameBytes.length, true);
+      // Extra field, comment, disk number and attributes stay zero
+      header.setUint32(42, entry.offset, true);
+      directory.push(header, entry.nameBytes);
+      directorySize += 46 + entry.nameBytes.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryStart, true);
+    return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+  }
+}
@@ -0,0 +1,35 @@
+// Per-frame cost of following the default Lorenz curve, through the Catmull-Rom spline
+// (as particles did before curves were baked) and through the baked samples, for a few
+// particle counts. Run from the repository root, with three installed:
+//
+//   node scripts/benchmarkSampling.mjs
+import {
+  registerAttractorCurves, getCurve, getDefaultCurveValues, CurveSampler, benchmarkSampling,
+} from '../js/core/index.js';
+
+const LIFECYCLE = { enabled: true, fadeInTime: 0.09, stableTime: 0.9, fadeOutTime: 0.2, randomOffset: 0 };
+
+// The GUI's default settings for each particle type
+const PARTICLE_SETTINGS = {
+  glow: { trailLength: 22, speedFactor: 0.0007 },
+  comet: { tailLength: 20, speedFactor: 0.0004 },
+  weldingSpark: { trailLength: 50, speedFactor: 0.0001, sparkSize: 1.2, pathFollowing: 0.8 },
+};
+const RUNS = [['glow', 500], ['glow', 5000], ['glow', 50000], ['comet', 2000], ['weldingSpark', 500]];
+
+registerAttractorCurves();
+const points = getCurve('lorenz').generate(getDefaultCurveValues('lorenz'));
+const paths = [CurveSampler.fromPoints(points, false)];
+
+const results = {};
+RUNS.forEach(([type, count]) => {
+  const settings = { ...PARTICLE_SETTINGS[type], scatterRadius: 0, lifecycle: LIFECYCLE, dt: 1 };
+  const { lookups, spline, sampler, simulation } = benchmarkSampling(type, paths, { ...settings, count, seed: 1 }, settings);
+  results[`${count} ${type}`] = {
+    'lookups / frame': lookups,
+    'spline (ms)': +spline.toFixed(2),
+    'baked (ms)': +sampler.toFixed(2),
+    'simulation step (ms)': +simulation.toFixed(2),
+  };
+});
+console.table(results);
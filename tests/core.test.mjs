@@ -0,0 +1,174 @@
+// Tests for the simulation core (js/core), which has to keep running in Node without the
+// DOM, the renderer or the GUI. Run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  registerVivianiCurve, registerAttractorCurves, getCurve, getDefaultCurveValues,
+  createVivianiCurvePoints, CurveSampler, createSimulation, calculateLifecycleAlpha,
+} from '../js/core/index.js';
+
+registerVivianiCurve();
+registerAttractorCurves();
+
+const LIFECYCLE = { enabled: true, fadeInTime: 0.2, stableTime: 0.6, fadeOutTime: 0.2 };
+
+// Size of the box around points, per axis
+function extent(points) {
+  return ['x', 'y', 'z'].map(axis => {
+    const values = points.map(point => point[axis]);
+    return Math.max(...values) - Math.min(...values);
+  });
+}
+
+test('calculateLifecycleAlpha fades in, holds and fades out', () => {
+  assert.equal(calculateLifecycleAlpha(0, 0, LIFECYCLE), 0);
+  assert.ok(Math.abs(calculateLifecycleAlpha(0, 0.1, LIFECYCLE) - 0.5) < 1e-9);
+  assert.equal(calculateLifecycleAlpha(0, 0.5, LIFECYCLE), 1);
+  assert.ok(Math.abs(calculateLifecycleAlpha(0, 0.9, LIFECYCLE) - 0.5) < 1e-9);
+  // The offset shifts where a particle is in its lifecycle, wrapping around
+  assert.equal(calculateLifecycleAlpha(0.5, 0, LIFECYCLE), 1);
+  assert.equal(calculateLifecycleAlpha(0.9, 0.6, LIFECYCLE), 1);
+});
+
+test('calculateLifecycleAlpha is 1 when the lifecycle is off', () => {
+  assert.equal(calculateLifecycleAlpha(0, 0, { ...LIFECYCLE, enabled: false }), 1);
+});
+
+test('the Viviani curve lies where the sphere meets the cylinder', () => {
+  const a = 3;
+  const points = createVivianiCurvePoints(a, 100);
+  assert.equal(points.length, 101);
+  points.forEach(point => {
+    // Sphere of radius 2a around the origin, cylinder of radius a around (a, 0)
+    assert.ok(Math.abs(point.length() - 2 * a) < 1e-9);
+    assert.ok(Math.abs(Math.hypot(point.x - a, point.y) - a) < 1e-9);
+  });
+});
+
+test('the default curves generate their full shapes', () => {
+  const viviani = getCurve('viviani').generate(getDefaultCurveValues('viviani'));
+  assert.equal(viviani.length, 257);
+  assert.deepEqual(extent(viviani).map(size => Math.round(size)), [30, 30, 60]);
+
+  // The default Lorenz curve is the whole butterfly, not just the fixed point it settles into
+  const lorenz = getCurve('lorenz').generate(getDefaultCurveValues('lorenz'));
+  assert.equal(lorenz.length, 2600);
+  extent(lorenz).forEach(size => assert.ok(size > 25, `Lorenz extent ${size}`));
+});
+
+test('the default Lorenz curve starts on the butterfly and keeps switching wings', () => {
+  const values = getDefaultCurveValues('lorenz');
+  assert.equal(values.integrator, 'rk4');
+  assert.ok(values.skipSteps > 0);
+
+  const points = getCurve('lorenz').generate(values);
+  let switches = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (Math.sign(points[i].x) !== Math.sign(points[i - 1].x)) switches++;
+  }
+  assert.ok(switches >= 10, `${switches} wing switches`);
+
+  // Without the burn-in the path would start near the origin, in a straight run up into
+  // the attractor that it never comes back to
+  const [minX, minY, minZ] = ['x', 'y', 'z'].map(axis => Math.min(...points.slice(1000).map(p => p[axis])));
+  const [maxX, maxY, maxZ] = ['x', 'y', 'z'].map(axis => Math.max(...points.slice(1000).map(p => p[axis])));
+  const start = points[0];
+  assert.ok(start.x >= minX && start.x <= maxX && start.y >= minY && start.y <= maxY &&
+    start.z >= minZ && start.z <= maxZ, 'the path starts outside the attractor');
+});
+
+test('CurveSampler lookups match the spline they were baked from', () => {
+  for (const [type, closed] of [['viviani', true], ['lorenz', false]]) {
+    const sampler = CurveSampler.fromPoints(getCurve(type).generate(getDefaultCurveValues(type)), closed);
+    // three.js measures arc length in 200 steps by default, too few for these curves to
+    // compare against
+    const spline = sampler.curve.clone();
+    spline.arcLengthDivisions = 20000;
+    spline.updateArcLengths();
+    assert.ok(Math.abs(sampler.getLength() - spline.getLength()) < 0.01, type);
+
+    const baked = new THREE.Vector3();
+    const exact = new THREE.Vector3();
+    for (let i = 0; i <= 100; i++) {
+      const u = i / 100;
+      const pointError = sampler.getPointAt(u, baked).distanceTo(spline.getPointAt(u, exact));
+      assert.ok(pointError < 0.01, `${type} point at ${u} is ${pointError} off`);
+      const tangentError = sampler.getTangentAt(u, baked).distanceTo(spline.getTangentAt(u, exact));
+      assert.ok(tangentError < 0.03, `${type} tangent at ${u} is ${tangentError} off`);
+    }
+  }
+});
+
+test('CurveSampler lookups wrap around closed curves and stop at the ends of open ones', () => {
+  const points = getCurve('viviani').generate(getDefaultCurveValues('viviani'));
+  const closed = CurveSampler.fromPoints(points, true);
+  const open = CurveSampler.fromPoints(points.slice(0, 100), false);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const near = (sampler, u, v) => sampler.getPointAt(u, a).distanceTo(sampler.getPointAt(v, b)) < 1e-6;
+
+  assert.ok(near(closed, 0, 1));
+  assert.ok(near(closed, 1.25, 0.25));
+  assert.ok(near(closed, -0.1, 0.9));
+  assert.ok(closed.getTangentAt(1.25, a).distanceTo(closed.getTangentAt(0.25, b)) < 1e-6);
+
+  assert.ok(!near(open, 0, 1));
+  assert.ok(near(open, 1.25, 1));
+  assert.ok(near(open, -0.1, 0));
+});
+
+test('the same seed gives the same simulation', () => {
+  const points = getCurve('viviani').generate(getDefaultCurveValues('viviani'));
+  const paths = [CurveSampler.fromPoints(points, true)];
+  const run = () => {
+    const simulation = createSimulation('glow', paths, { count: 20, trailLength: 10, scatterRadius: 0.5, seed: 42 });
+    for (let frame = 0; frame < 10; frame++) {
+      simulation.step({ speedFactor: 0.001, scatterRadius: 0.5, lifecycle: LIFECYCLE });
+    }
+    return Array.from(simulation.outputs.trailPositions);
+  };
+  assert.deepEqual(run(), run());
+});
+
+test('sparks burn down and are replaced by new ones', () => {
+  const points = getCurve('viviani').generate(getDefaultCurveValues('viviani'));
+  const simulation = createSimulation('weldingSpark', [CurveSampler.fromPoints(points, true)], {
+    count: 10, trailLength: 50, pathFollowing: 0.8, sparkSize: 1.2, seed: 7,
+  });
+  const settings = { speedFactor: 0.0001, scatterRadius: 0, lifecycle: { enabled: false } };
+  const { sparkLives } = simulation.outputs;
+  const capacity = simulation.state.capacity;
+
+  // Every spark is emitted with a life of 1
+  for (let i = 0; i < 10; i++) {
+    const active = simulation.state.activeSparks[i];
+    assert.ok(active >= 2);
+    for (let slot = i * capacity; slot < i * capacity + active; slot++) assert.equal(sparkLives[slot], 1);
+  }
+
+  // Sparks burst this frame are aged along with the rest, so every spark has burnt down some
+  simulation.step(settings);
+  for (let i = 0; i < 10; i++) {
+    for (let slot = i * capacity; slot < i * capacity + simulation.state.activeSparks[i]; slot++) {
+      assert.ok(sparkLives[slot] < 1);
+    }
+  }
+
+  // Lives drop by at least 0.03 a frame, so the first burst is gone by now. Sparks that
+  // burn out leave their slots, and the ones in use all have life left.
+  let total = 0;
+  for (let frame = 1; frame < 40; frame++) simulation.step(settings);
+  for (let i = 0; i < 10; i++) {
+    const first = i * capacity;
+    const active = simulation.state.activeSparks[i];
+    assert.ok(active <= capacity);
+    for (let slot = first; slot < first + active; slot++) {
+      assert.ok(sparkLives[slot] > 0 && sparkLives[slot] < 1);
+    }
+    // Unused slots hold no sparks
+    for (let slot = first + active; slot < first + capacity; slot++) assert.equal(sparkLives[slot], 0);
+    total += active;
+  }
+  assert.ok(total > 0);
+});
@@ -0,0 +1,26 @@
+// Tests for the curve expression parser (js/core/expression.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression } from '../js/core/index.js';
+
+test('parseExpression evaluates functions, constants and variables', () => {
+  const { evaluate, variables } = parseExpression('R * cos(2t) + 2sin(pi / 2)^2');
+  assert.deepEqual(variables.sort(), ['R', 't']);
+  assert.ok(Math.abs(evaluate({ R: 3, t: 0 }) - 5) < 1e-12);
+});
+
+test('parseExpression rejects unknown functions and bare function names', () => {
+  assert.throws(() => parseExpression('foo(t)'), /Unknown function "foo"/);
+  assert.throws(() => parseExpression('2 * sin'), /Function "sin" needs parentheses/);
+});
+
+test('parseExpression does not find names on Object.prototype', () => {
+  for (const name of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', '__proto__']) {
+    assert.throws(() => parseExpression(`${name}(1)`), new RegExp(`Unknown function "${name}"`));
+    // Used bare, they are variables like any other name
+    const { evaluate, variables } = parseExpression(`2 * ${name}`);
+    assert.deepEqual(variables, [name]);
+    assert.ok(Number.isNaN(evaluate({})));
+    assert.equal(evaluate({ [name]: 3 }), 6);
+  }
+});
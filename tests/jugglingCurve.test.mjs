@@ -0,0 +1,38 @@
+// Tests for siteswap parsing and the per-ball juggling paths (js/core/jugglingCurve.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSiteswap, createJugglingPatternPoints } from '../js/core/index.js';
+
+test('parseSiteswap accepts valid patterns and counts their balls', () => {
+  assert.deepEqual(parseSiteswap('3'), { throws: [3], balls: 3 });
+  assert.deepEqual(parseSiteswap('441'), { throws: [4, 4, 1], balls: 3 });
+  assert.deepEqual(parseSiteswap('531'), { throws: [5, 3, 1], balls: 3 });
+  assert.equal(parseSiteswap('b97531').balls, 6);
+});
+
+test('parseSiteswap rejects invalid patterns', () => {
+  assert.throws(() => parseSiteswap('43'), /average throw must be a whole number/);
+  assert.throws(() => parseSiteswap('321'), /two balls land on beat/);
+  assert.throws(() => parseSiteswap('3-1'), /use digits 0-9 and letters a-z/);
+});
+
+test('each ball gets its own path', () => {
+  for (const pattern of ['3', '441']) {
+    const paths = createJugglingPatternPoints(3, 8, 6, 0.3, 9.8, 1, 1200, pattern);
+    assert.equal(paths.length, 3, pattern);
+    // The cascade puts all three balls on one orbit: they follow the same points, but
+    // start at different places on them
+    paths.forEach(path => assert.equal(path.length, 1200));
+    for (let a = 0; a < paths.length; a++) {
+      for (let b = a + 1; b < paths.length; b++) {
+        assert.ok(paths[a][0].distanceTo(paths[b][0]) > 0.1, `${pattern}: balls ${a} and ${b} start together`);
+      }
+    }
+  }
+});
+
+test('balls on the same orbit follow the same loop a whole cycle apart', () => {
+  const [first, second] = createJugglingPatternPoints(3, 8, 6, 0.3, 9.8, 1, 1200, '3');
+  // The cycle is 2 of the orbit's 6 beats, a third of its points
+  first.forEach((point, i) => assert.ok(point.equals(second[(i + 800) % 1200])));
+});